@@ -27,6 +27,9 @@ yamlModule.registerTools(server);
 thinkingModule.registerTools(server);
 filesystemModule.registerTools(server);
 
+// Register resources
+todoModule.registerResources(server);
+
 async function main() {
   const transport = new StdioServerTransport();
   await server.connect(transport);
@@ -4,6 +4,8 @@ const path = require("path");
 const { SentencePieceTokenizer } = require("@agnai/sentencepiece-js");
 const { Tokenizer } = require("@accessprotocol/tokenizers");
 
+const DEFAULT_EXCLUDE_PATTERNS = [/node_modules/, /\.git/, /\.DS_Store/];
+
 // Filesystem Handler with size limits and rejection instead of truncation
 class FilesystemHandler {
   constructor() {
@@ -289,7 +291,8 @@ class FilesystemHandler {
     };
   }
 
-  async readDirectory(dirPath, maxTotalSize, options = {}) {
+  // Collect file paths below a directory, honouring hidden/extension/exclude filters
+  listFiles(dirPath, options = {}) {
     if (!fs.existsSync(dirPath)) {
       throw new Error(`Directory not found: ${dirPath}`);
     }
@@ -303,7 +306,7 @@ class FilesystemHandler {
       recursive = false,
       includeHidden = false,
       fileExtensions = null, // array of extensions like ['.js', '.ts', '.md']
-      excludePatterns = [/node_modules/, /\.git/, /\.DS_Store/]
+      excludePatterns = DEFAULT_EXCLUDE_PATTERNS
     } = options;
 
     const allFiles = [];
@@ -344,6 +347,18 @@ class FilesystemHandler {
     };
 
     scanDirectory(dirPath);
+    return allFiles;
+  }
+
+  async readDirectory(dirPath, maxTotalSize, options = {}) {
+    const {
+      recursive = false,
+      includeHidden = false,
+      fileExtensions = null,
+      excludePatterns = DEFAULT_EXCLUDE_PATTERNS
+    } = options;
+
+    const allFiles = this.listFiles(dirPath, { recursive, includeHidden, fileExtensions, excludePatterns });
     
     this.log(`Found ${allFiles.length} files in directory: ${dirPath}`, 'info');
     
@@ -482,7 +497,7 @@ async ({ dirPath, maxTotalSize, recursive = false, includeHidden = false, fileEx
       recursive,
       includeHidden,
       fileExtensions,
-      excludePatterns: excludePatterns ? excludePatterns.map(p => new RegExp(p)) : [/node_modules/, /\.git/, /\.DS_Store/]
+      excludePatterns: excludePatterns ? excludePatterns.map(p => new RegExp(p)) : DEFAULT_EXCLUDE_PATTERNS
     };
     
     const result = await fsHandler.readDirectory(dirPath, actualMaxSize, options);
@@ -508,4 +523,4 @@ async ({ dirPath, maxTotalSize, recursive = false, includeHidden = false, fileEx
 
 }
 
-module.exports = { registerTools };
\ No newline at end of file
+module.exports = { registerTools, fsHandler, DEFAULT_EXCLUDE_PATTERNS };
\ No newline at end of file
@@ -0,0 +1,69 @@
+// Project-local persistence shared by the todo and thinking modules
+const fs = require("fs");
+const path = require("path");
+
+// Reads .n1ght.json from the working directory; a missing or unreadable file gives {}
+function loadConfig(log) {
+  const configPath = path.join(process.cwd(), ".n1ght.json");
+  try {
+    if (!fs.existsSync(configPath)) {
+      return {};
+    }
+    const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+    log(`Loaded configuration from ${configPath}`, 'info');
+    return config;
+  } catch (error) {
+    log(`Error loading config: ${error.message}`, 'error');
+    return {};
+  }
+}
+
+// A JSON file written atomically through a temp file and rename. A file that cannot be
+// parsed or fails validation is moved to <file>.corrupt-<timestamp> instead of being overwritten.
+class JsonFileStore {
+  constructor(filePath, { description, log, reviver }) {
+    this.filePath = filePath;
+    this.description = description; // e.g. "task file", used in messages
+    this.log = log;
+    this.reviver = reviver;
+  }
+
+  // Returns the parsed data, or null when the file is missing or had to be moved aside
+  read(validate = () => {}) {
+    if (!fs.existsSync(this.filePath)) {
+      this.log(`No ${this.description} at ${this.filePath}, starting empty`, 'info');
+      return null;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, "utf8"), this.reviver);
+      validate(data);
+      return data;
+    } catch (error) {
+      const backupPath = `${this.filePath}.corrupt-${Date.now()}`;
+      try {
+        fs.renameSync(this.filePath, backupPath);
+        this.log(`The ${this.description} is corrupt (${error.message}), moved to ${backupPath}`, 'error');
+      } catch (renameError) {
+        this.log(`The ${this.description} is corrupt and could not be moved: ${renameError.message}`, 'error');
+      }
+      return null;
+    }
+  }
+
+  write(data) {
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), "utf8");
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      if (fs.existsSync(tempPath)) {
+        fs.unlinkSync(tempPath);
+      }
+      throw new Error(`Failed to save ${this.description}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = { loadConfig, JsonFileStore };
@@ -0,0 +1,101 @@
+// Premise graph checks for thinking sessions. Each thought may cite earlier thoughts
+// as premises; the checks look for gaps and weak links in the support for conclusions.
+
+const DEFAULT_MIN_CONFIDENCE = 50;
+
+// Sessions from before premises existed only have a single parentThought
+function premisesOf(thought) {
+  if (thought.premises) {
+    return thought.premises;
+  }
+  return thought.parentThought ? [thought.parentThought] : [];
+}
+
+// Returns each cycle once, as the list of thought ids along it
+function findCycles(thoughts) {
+  const byId = new Map(thoughts.map(t => [t.id, t]));
+  const state = new Map(); // id -> 'visiting' | 'done'
+  const stack = [];
+  const cycles = [];
+  const seen = new Set();
+
+  const visit = id => {
+    state.set(id, 'visiting');
+    stack.push(id);
+    for (const premise of premisesOf(byId.get(id))) {
+      if (!byId.has(premise)) continue;
+      if (state.get(premise) === 'visiting') {
+        const cycle = stack.slice(stack.indexOf(premise));
+        const key = [...cycle].sort((a, b) => a - b).join(',');
+        if (!seen.has(key)) {
+          seen.add(key);
+          cycles.push(cycle);
+        }
+      } else if (!state.has(premise)) {
+        visit(premise);
+      }
+    }
+    stack.pop();
+    state.set(id, 'done');
+  };
+
+  for (const thought of thoughts) {
+    if (!state.has(thought.id)) {
+      visit(thought.id);
+    }
+  }
+  return cycles;
+}
+
+// Every thought a conclusion rests on, directly or through other premises
+function supportOf(thought, byId) {
+  const found = new Set();
+  const pending = [...premisesOf(thought)];
+  while (pending.length > 0) {
+    const id = pending.pop();
+    if (found.has(id) || id === thought.id || !byId.has(id)) continue;
+    found.add(id);
+    pending.push(...premisesOf(byId.get(id)));
+  }
+  return [...found].map(id => byId.get(id));
+}
+
+function checkReasoning(thoughts, minConfidence = DEFAULT_MIN_CONFIDENCE) {
+  const byId = new Map(thoughts.map(t => [t.id, t]));
+  const cycles = findCycles(thoughts);
+  const inCycle = new Set(cycles.flat());
+
+  const conclusions = thoughts.filter(t => t.type === 'conclusion').map(conclusion => {
+    const issues = [];
+    const premises = premisesOf(conclusion);
+    if (premises.length === 0) {
+      issues.push({ kind: 'unsupported', message: 'Conclusion cites no premises' });
+    }
+    if (inCycle.has(conclusion.id) || supportOf(conclusion, byId).some(t => inCycle.has(t.id))) {
+      issues.push({ kind: 'circular', message: 'Support for this conclusion is circular' });
+    }
+    for (const t of supportOf(conclusion, byId)) {
+      if (t.type !== 'hypothesis') continue;
+      if (t.isRevised) {
+        issues.push({ kind: 'revised_hypothesis', thoughtId: t.id, message: `Depends on hypothesis ${t.id}, which has been revised` });
+      }
+      if (typeof t.confidence === 'number' && t.confidence < minConfidence) {
+        issues.push({ kind: 'low_confidence_hypothesis', thoughtId: t.id, message: `Depends on hypothesis ${t.id} with confidence ${t.confidence}` });
+      }
+    }
+    return { thoughtId: conclusion.id, premises, wellSupported: issues.length === 0, issues };
+  });
+
+  return {
+    minConfidence,
+    conclusions,
+    unsupportedConclusions: conclusions.filter(c => c.issues.some(i => i.kind === 'unsupported')).map(c => c.thoughtId),
+    circularSupport: cycles,
+    weakDependencies: conclusions.flatMap(c => c.issues
+      .filter(i => i.thoughtId !== undefined)
+      .map(i => ({ conclusionId: c.thoughtId, hypothesisId: i.thoughtId, reason: i.kind }))),
+    wellSupported: conclusions.filter(c => c.wellSupported).map(c => c.thoughtId)
+  };
+}
+
+module.exports = { premisesOf, checkReasoning };
@@ -0,0 +1,143 @@
+// Human-readable renderings of a thinking session: a Markdown report and a Mermaid flowchart
+
+const LABEL_LENGTH = 60;
+
+function formatThoughtHeading(thought) {
+  const details = [thought.type];
+  if (typeof thought.confidence === 'number') {
+    details.push(`confidence ${thought.confidence}%`);
+  }
+  return `Thought ${thought.id} (${details.join(', ')})`;
+}
+
+function renderThought(thought, level) {
+  const lines = [`${'#'.repeat(level)} ${formatThoughtHeading(thought)}`, ''];
+  if (thought.tags && thought.tags.length > 0) {
+    lines.push(`Tags: ${thought.tags.map(tag => `\`${tag}\``).join(', ')}`, '');
+  }
+  if (thought.premises && thought.premises.length > 0) {
+    lines.push(`Premises: ${thought.premises.map(id => `thought ${id}`).join(', ')}`, '');
+  }
+  lines.push(thought.content, '');
+
+  const notes = [];
+  if (thought.isRevised) {
+    const versions = thought.versions ? ` (version ${thought.versions.length})` : '';
+    notes.push(`Revised${versions}${thought.revisionReason ? `: ${thought.revisionReason}` : ''}`);
+  }
+  if (thought.mergedFrom) {
+    notes.push(`Merged from branch ${thought.mergedFrom}`);
+  }
+  if (notes.length > 0) {
+    lines.push(...notes.map(note => `_${note}_`), '');
+  }
+  return lines;
+}
+
+function renderBranch(branch) {
+  const status = branch.status || 'open';
+  const lines = [`### ${branch.name} (${status})`, '', `Branched from thought ${branch.fromThoughtId} as \`${branch.id}\`.`];
+  if (status === 'merged') {
+    lines.push(`Merged into the main line as thoughts ${branch.mergedThoughtIds.join(', ')}${branch.mergeReason ? `: ${branch.mergeReason}` : '.'}`);
+  } else if (status === 'abandoned') {
+    lines.push(`Abandoned: ${branch.abandonReason}`);
+  }
+  lines.push('');
+  for (const thought of branch.thoughts) {
+    lines.push(...renderThought(thought, 4));
+  }
+  return lines;
+}
+
+function renderMarkdown(session) {
+  const lines = [
+    `# Thinking session ${session.id}`,
+    '',
+    `- Started: ${new Date(session.startTime).toISOString()}`,
+    `- Progress: ${session.currentThought}/${session.totalThoughts} thoughts`,
+    `- Branches: ${session.branches.length}`,
+    `- Revisions: ${session.revisions.length}`,
+    '',
+    '## Flow',
+    '',
+    '```mermaid',
+    renderMermaid(session),
+    '```',
+    '',
+    '## Thoughts',
+    ''
+  ];
+  for (const thought of session.thoughts) {
+    lines.push(...renderThought(thought, 3));
+  }
+
+  if (session.branches.length > 0) {
+    lines.push('## Branches', '');
+    for (const branch of session.branches) {
+      lines.push(...renderBranch(branch));
+    }
+  }
+
+  if (session.revisions.length > 0) {
+    lines.push('## Revisions', '', '| Thought | Version | Reason | Time |', '| --- | --- | --- | --- |');
+    for (const r of session.revisions) {
+      const reason = (r.reason || '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+      lines.push(`| ${r.originalThoughtId} | ${r.version || ''} | ${reason} | ${new Date(r.timestamp).toISOString()} |`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+function nodeLabel(thought) {
+  const text = thought.content.replace(/\s+/g, ' ').trim();
+  const short = text.length > LABEL_LENGTH ? `${text.substring(0, LABEL_LENGTH)}...` : text;
+  return `"${escapeLabel(`${thought.id}. ${thought.type}: ${short}`)}"`;
+}
+
+function escapeLabel(text) {
+  return text.replace(/"/g, '#quot;');
+}
+
+// Main line thoughts are chained top to bottom; each open or abandoned branch is a subgraph
+// hanging off the thought it started from (dashed once abandoned), and a merged branch is an
+// edge to the first of its thoughts on the main line
+function renderMermaid(session) {
+  const lines = ['flowchart TD'];
+  const node = thought => `t${thought.id}[${nodeLabel(thought)}]`;
+
+  session.thoughts.forEach((thought, index) => {
+    lines.push(index === 0 ? `  ${node(thought)}` : `  t${session.thoughts[index - 1].id} --> ${node(thought)}`);
+  });
+
+  session.branches.forEach((branch, index) => {
+    const status = branch.status || 'open';
+    const edgeLabel = branch.name.replace(/[|"]/g, '');
+    if (status === 'merged' && branch.mergedThoughtIds.length > 0) {
+      lines.push(`  t${branch.fromThoughtId} -->|${edgeLabel} merged| t${branch.mergedThoughtIds[0]}`);
+      return;
+    }
+    if (branch.thoughts.length === 0) {
+      return;
+    }
+    lines.push(`  subgraph branch${index + 1}["${escapeLabel(branch.name)} (${status})"]`);
+    branch.thoughts.forEach((thought, i) => {
+      lines.push(i === 0 ? `    ${node(thought)}` : `    t${branch.thoughts[i - 1].id} --> ${node(thought)}`);
+    });
+    lines.push('  end');
+    const arrow = status === 'abandoned' ? '-.->' : '-->';
+    lines.push(`  t${branch.fromThoughtId} ${arrow}|${edgeLabel}| t${branch.thoughts[0].id}`);
+  });
+
+  const conclusions = [...session.thoughts, ...session.branches.flatMap(b => b.thoughts)]
+    .filter(t => t.type === 'conclusion')
+    .map(t => `t${t.id}`);
+  if (conclusions.length > 0) {
+    lines.push('  classDef conclusion stroke-width:3px', `  class ${conclusions.join(',')} conclusion`);
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = { renderMarkdown, renderMermaid };
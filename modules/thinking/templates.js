@@ -0,0 +1,66 @@
+// Reasoning templates that seed a thinking session with an ordered list of steps
+
+const THOUGHT_TYPES = ["analysis", "hypothesis", "question", "conclusion", "reflection", "branch_start"];
+
+const BUILTIN_TEMPLATES = {
+  five_whys: {
+    description: "Root-cause analysis: restate the problem, ask why five times, then name the root cause",
+    steps: [
+      { type: "analysis", prompt: "Describe the problem precisely: what happened, where and when" },
+      { type: "question", prompt: "Why did the problem happen? Answer with the most direct cause" },
+      { type: "question", prompt: "Why did that cause happen?" },
+      { type: "question", prompt: "Why did that happen? Stick to facts you can check" },
+      { type: "question", prompt: "Why did that happen?" },
+      { type: "question", prompt: "Why did that happen? This should reach a process or design decision" },
+      { type: "conclusion", prompt: "State the root cause and the change that prevents it from recurring" }
+    ]
+  },
+  pros_cons: {
+    description: "Weigh a decision by listing the advantages and drawbacks of each option",
+    steps: [
+      { type: "analysis", prompt: "Describe the decision to be made and the options on the table" },
+      { type: "analysis", prompt: "List the pros of each option" },
+      { type: "analysis", prompt: "List the cons of each option" },
+      { type: "reflection", prompt: "Weigh the pros and cons: which matter most here and why" },
+      { type: "conclusion", prompt: "State the decision and what would make you revisit it" }
+    ]
+  },
+  pre_mortem: {
+    description: "Imagine the plan has already failed and work back to what would have caused it",
+    steps: [
+      { type: "analysis", prompt: "Describe the plan and what success looks like" },
+      { type: "hypothesis", prompt: "Assume the plan failed badly. List every reason it could have failed" },
+      { type: "analysis", prompt: "Rank the failure reasons by likelihood and impact" },
+      { type: "analysis", prompt: "For the top risks, name the early warning signs" },
+      { type: "reflection", prompt: "Decide how to prevent or mitigate each top risk" },
+      { type: "conclusion", prompt: "List the changes to the plan" }
+    ]
+  },
+  debugging: {
+    description: "Observe the failure, form a hypothesis, test it and conclude",
+    steps: [
+      { type: "analysis", prompt: "Observe: record the symptoms, expected and actual behaviour, and how to reproduce" },
+      { type: "hypothesis", prompt: "Hypothesize: propose the most likely cause that explains every symptom" },
+      { type: "analysis", prompt: "Test: design and run a check that would disprove the hypothesis, and record the result" },
+      { type: "conclusion", prompt: "Conclude: state the confirmed cause and the fix, or go back to a new hypothesis" }
+    ]
+  }
+};
+
+// Returns an error message for a malformed template, or null when it is usable
+function validateTemplate(template) {
+  if (!template || !Array.isArray(template.steps) || template.steps.length === 0) {
+    return "steps must be a non-empty array";
+  }
+  for (const [index, step] of template.steps.entries()) {
+    if (!step || typeof step.prompt !== "string" || !step.prompt) {
+      return `step ${index + 1} needs a prompt`;
+    }
+    if (step.type && !THOUGHT_TYPES.includes(step.type)) {
+      return `step ${index + 1} has unknown type ${step.type}`;
+    }
+  }
+  return null;
+}
+
+module.exports = { THOUGHT_TYPES, BUILTIN_TEMPLATES, validateTemplate };
@@ -1,15 +1,178 @@
 const { z } = require("zod");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { renderMarkdown, renderMermaid } = require("./report.js");
+const { THOUGHT_TYPES, BUILTIN_TEMPLATES, validateTemplate } = require("./templates.js");
+const { premisesOf, checkReasoning } = require("./graph.js");
+const { addTasksFromThoughts } = require("../todo/todo.js");
+const { fsHandler } = require("../filesystem/filesystem.js");
+const { loadConfig, JsonFileStore } = require("../shared/storage.js");
+
+// Keys whose ISO string values are turned back into Date objects when loading sessions
+const DATE_KEYS = new Set(['startTime', 'timestamp', 'archivedAt', 'mergedAt', 'abandonedAt', 'lastActivity', 'closedAt']);
+
+// Share of the token budget after which responses carry a warning
+const BUDGET_WARNING_RATIO = 0.8;
+// Evicted sessions kept in the archive unless thinking.maxEvictedSessions says otherwise
+const DEFAULT_MAX_EVICTED_SESSIONS = 50;
+// Length older thoughts are cut to first when a summary has to fit a token count
+const SHORTENED_LENGTH = 80;
 
 // Sequential Thinking Handler for complex problem-solving
 class SequentialThinking {
   constructor() {
     this.sessions = new Map(); // Store thinking sessions by ID
-    this.sessionCounter = 0;
+    this.archive = new Map(); // Archived sessions by ID, kept out of listings
     this.enableLogging = process.env.THINKING_LOG === 'true' || false;
+    this.config = loadConfig((message, type) => this.log(message, type));
+    this.storagePath = this.getStoragePath();
+    this.store = new JsonFileStore(this.storagePath, {
+      description: 'session file',
+      log: (message, type) => this.log(message, type),
+      reviver: (key, value) => DATE_KEYS.has(key) && typeof value === 'string' ? new Date(value) : value
+    });
+    this.load();
+  }
+
+  getStoragePath() {
+    const configured = this.config.thinking && this.config.thinking.storagePath;
+    return path.resolve(process.cwd(), configured || ".thinking.json");
+  }
+
+  load() {
+    const data = this.store.read();
+    if (!data) {
+      return;
+    }
+    for (const session of data.sessions || []) {
+      this.sessions.set(session.id, session);
+    }
+    for (const session of data.archived || []) {
+      this.archive.set(session.id, session);
+    }
+    this.log(`Loaded ${this.sessions.size} sessions (${this.archive.size} archived) from ${this.storagePath}`, 'info');
+  }
+
+  save() {
+    this.store.write({
+      sessions: Array.from(this.sessions.values()),
+      archived: Array.from(this.archive.values())
+    });
+  }
+
+  // Random ids checked against live and archived sessions, so restarts never reuse one
+  generateSessionId() {
+    let id;
+    do {
+      id = `session_${crypto.randomBytes(4).toString('hex')}`;
+    } while (this.sessions.has(id) || this.archive.has(id));
+    return id;
+  }
+
+  getLimits() {
+    const settings = this.config.thinking || {};
+    return {
+      strict: settings.strict === true,
+      maxSessions: settings.maxSessions || null,
+      maxThoughtsPerSession: settings.maxThoughtsPerSession || null,
+      idleTimeoutMinutes: settings.idleTimeoutMinutes || null,
+      maxEvictedSessions: Number.isInteger(settings.maxEvictedSessions) ? settings.maxEvictedSessions : DEFAULT_MAX_EVICTED_SESSIONS
+    };
+  }
+
+  // Sessions saved before activity was tracked fall back to their latest thought
+  lastActivityOf(session) {
+    if (session.lastActivity) {
+      return session.lastActivity;
+    }
+    const stamps = [session.startTime, ...this.allThoughts(session).map(t => t.timestamp)];
+    return new Date(Math.max(...stamps.map(stamp => new Date(stamp).getTime())));
+  }
+
+  touch(session) {
+    session.lastActivity = new Date();
+  }
+
+  // Evicted sessions go to the archive so they can be restored, except empty ones, which
+  // are dropped. Only the newest maxEvictedSessions stay there; sessions archived by hand are kept.
+  evictSession(session, reason) {
+    this.sessions.delete(session.id);
+    if (this.allThoughts(session).length === 0) {
+      this.log(`Dropped empty session ${session.id} (${reason})`, 'info');
+      return;
+    }
+    session.archivedAt = new Date();
+    session.evictedReason = reason;
+    this.archive.set(session.id, session);
+    this.log(`Evicted session ${session.id} (${reason})`, 'info');
+    this.pruneEvictedSessions();
+  }
+
+  pruneEvictedSessions() {
+    const { maxEvictedSessions } = this.getLimits();
+    const evicted = Array.from(this.archive.values())
+      .filter(session => session.evictedReason)
+      .sort((a, b) => a.archivedAt - b.archivedAt);
+    while (evicted.length > maxEvictedSessions) {
+      const oldest = evicted.shift();
+      this.archive.delete(oldest.id);
+      this.log(`Deleted evicted session ${oldest.id} to stay within ${maxEvictedSessions} evicted sessions`, 'info');
+    }
+  }
+
+  expireIdleSessions() {
+    const { idleTimeoutMinutes } = this.getLimits();
+    if (!idleTimeoutMinutes) {
+      return [];
+    }
+    const cutoff = Date.now() - idleTimeoutMinutes * 60000;
+    const expired = Array.from(this.sessions.values()).filter(session => this.lastActivityOf(session).getTime() < cutoff);
+    for (const session of expired) {
+      this.evictSession(session, `idle for more than ${idleTimeoutMinutes} minutes`);
+    }
+    if (expired.length > 0) {
+      this.save();
+    }
+    return expired.map(session => session.id);
+  }
+
+  // Makes room for one more session: closed sessions go first, then the least recently used
+  enforceSessionLimit() {
+    const { maxSessions } = this.getLimits();
+    if (!maxSessions) {
+      return;
+    }
+    const candidates = Array.from(this.sessions.values()).sort((a, b) =>
+      (a.closedAt ? 0 : 1) - (b.closedAt ? 0 : 1) || this.lastActivityOf(a) - this.lastActivityOf(b)
+    );
+    while (this.sessions.size >= maxSessions && candidates.length > 0) {
+      this.evictSession(candidates.shift(), `session limit of ${maxSessions} reached`);
+    }
+  }
+
+  checkThoughtLimit(session) {
+    const { maxThoughtsPerSession } = this.getLimits();
+    if (maxThoughtsPerSession && this.allThoughts(session).length >= maxThoughtsPerSession) {
+      throw new Error(`Session ${session.id} has reached the limit of ${maxThoughtsPerSession} thoughts`);
+    }
+  }
+
+  closeSession(sessionId, reason = null) {
+    const session = this.getWritableSession(sessionId);
+    session.closedAt = new Date();
+    session.closeReason = reason;
+    this.save();
+    this.log(`Closed session ${sessionId}${reason ? ': ' + reason : ''}`, 'info');
+    return { sessionId, closedAt: session.closedAt, reason };
   }
 
   createSession(sessionId = null) {
-    const id = sessionId || `session_${++this.sessionCounter}`;
+    if (sessionId && this.archive.has(sessionId)) {
+      throw new Error(`Session ${sessionId} is archived; restore it to continue`);
+    }
+    this.enforceSessionLimit();
+    const id = sessionId || this.generateSessionId();
     const session = {
       id,
       thoughts: [],
@@ -17,62 +180,303 @@ class SequentialThinking {
       totalThoughts: 10, // Default, can be adjusted
       startTime: new Date(),
       branches: [], // Track alternative thinking paths
-      revisions: [] // Track thought revisions
+      revisions: [], // Track thought revisions
+      nextThoughtId: 1, // Thought ids are unique across the main line and all branches
+      lastActivity: new Date()
     };
     
     this.sessions.set(id, session);
+    this.save();
     this.log(`Created thinking session: ${id}`, 'info');
     return session;
   }
 
-  addThought(sessionId, thoughtData) {
-    const session = this.sessions.get(sessionId);
-    if (!session) {
-      throw new Error(`Session ${sessionId} not found`);
+  // Built-in templates, overridden or extended by thinking.templates in the config
+  getTemplates() {
+    const templates = {};
+    for (const [name, template] of Object.entries(BUILTIN_TEMPLATES)) {
+      templates[name] = { ...template, source: 'builtin' };
+    }
+    const configured = (this.config.thinking && this.config.thinking.templates) || {};
+    for (const [name, template] of Object.entries(configured)) {
+      const problem = validateTemplate(template);
+      if (problem) {
+        this.log(`Skipping template ${name}: ${problem}`, 'error');
+        continue;
+      }
+      templates[name] = { description: template.description || '', steps: template.steps, source: 'config' };
+    }
+    return templates;
+  }
+
+  startFromTemplate(templateName, sessionId = null) {
+    const templates = this.getTemplates();
+    const template = templates[templateName];
+    if (!template) {
+      throw new Error(`Unknown template ${templateName}. Available: ${Object.keys(templates).join(', ')}`);
+    }
+    if (sessionId && this.sessions.has(sessionId)) {
+      throw new Error(`Session ${sessionId} already exists`);
+    }
+
+    const session = this.createSession(sessionId);
+    // The steps are copied so later config edits do not change a running session
+    session.template = {
+      name: templateName,
+      steps: template.steps.map(step => ({ type: step.type || 'analysis', prompt: step.prompt }))
+    };
+    session.totalThoughts = session.template.steps.length;
+    this.save();
+    this.log(`Started session ${session.id} from template '${templateName}'`, 'info');
+    return session;
+  }
+
+  // Template steps are matched to main-line thoughts in order
+  getNextStep(sessionId) {
+    const session = this.getSession(sessionId);
+    if (!session.template) {
+      return { sessionId, template: null, nextStep: null };
+    }
+
+    const steps = session.template.steps;
+    const index = session.thoughts.length;
+    return {
+      sessionId,
+      template: session.template.name,
+      completedSteps: Math.min(index, steps.length),
+      totalSteps: steps.length,
+      nextStep: index < steps.length ? { step: index + 1, ...steps[index] } : null
+    };
+  }
+
+  // Older sessions have no counter; start after the highest id in use
+  nextThoughtId(session) {
+    if (!session.nextThoughtId) {
+      const ids = [...session.thoughts, ...session.branches.flatMap(b => b.thoughts)].map(t => t.id);
+      session.nextThoughtId = Math.max(0, ...ids) + 1;
     }
+    return session.nextThoughtId++;
+  }
+
+  getBranch(session, branchId) {
+    const branch = session.branches.find(b => b.id === branchId);
+    if (!branch) {
+      throw new Error(`Branch ${branchId} not found in session ${session.id}`);
+    }
+    return branch;
+  }
+
+  // Merged and abandoned branches are kept for the record but take no further thoughts
+  getOpenBranch(session, branchId) {
+    const branch = this.getBranch(session, branchId);
+    if (branch.status && branch.status !== 'open') {
+      throw new Error(`Branch ${branchId} is ${branch.status}`);
+    }
+    return branch;
+  }
+
+  addThought(sessionId, thoughtData, branchId = null) {
+    const session = this.getWritableSession(sessionId);
+    const branch = branchId ? this.getOpenBranch(session, branchId) : null;
+    this.checkThoughtLimit(session);
+    const step = !branch && session.template ? session.template.steps[session.thoughts.length] : null;
+    const premises = this.validatePremises(session, thoughtData.premises);
 
     const thought = {
-      id: session.thoughts.length + 1,
+      id: this.nextThoughtId(session),
       content: thoughtData.content,
-      type: thoughtData.type || 'analysis',
+      tokens: fsHandler.countTokens(thoughtData.content),
+      type: thoughtData.type || (step ? step.type : 'analysis'),
       timestamp: new Date(),
       confidence: thoughtData.confidence || null,
       tags: thoughtData.tags || [],
       parentThought: thoughtData.parentThought || null,
+      premises,
       isRevision: thoughtData.isRevision || false
     };
 
-    session.thoughts.push(thought);
-    session.currentThought = session.thoughts.length;
+    if (branch) {
+      thought.branchId = branch.id;
+      branch.thoughts.push(thought);
+    } else {
+      session.thoughts.push(thought);
+      session.currentThought = session.thoughts.length;
+    }
+    this.save();
     
-    this.log(`Thought ${thought.id}: ${thought.content.substring(0, 100)}...`, 'thought');
+    this.log(`Thought ${thought.id}${branch ? ` [${branch.name}]` : ''}: ${thought.content.substring(0, 100)}...`, 'thought');
     
     return thought;
   }
 
-  revisethought(sessionId, thoughtId, newContent, reason = null) {
-    const session = this.sessions.get(sessionId);
-    if (!session) {
-      throw new Error(`Session ${sessionId} not found`);
+  validatePremises(session, premises) {
+    const ids = [...new Set(premises || [])];
+    const known = new Set(this.allThoughts(session).map(t => t.id));
+    const missing = ids.filter(id => !known.has(id));
+    if (missing.length > 0) {
+      throw new Error(`Premise thoughts not found in session ${session.id}: ${missing.join(', ')}`);
+    }
+    return ids;
+  }
+
+  allThoughts(session) {
+    return [...session.thoughts, ...session.branches.flatMap(b => b.thoughts)];
+  }
+
+  checkReasoning(sessionId, minConfidence) {
+    const session = this.getAnySession(sessionId);
+    return { sessionId, ...checkReasoning(this.allThoughts(session), minConfidence) };
+  }
+
+  // Turns the given conclusions, or every conclusion tagged "action", into todo tasks
+  conclusionsToTasks(sessionId, thoughtIds = null, list = null) {
+    const session = this.getSession(sessionId);
+    const thoughts = this.allThoughts(session);
+    let conclusions;
+    if (thoughtIds && thoughtIds.length > 0) {
+      conclusions = thoughtIds.map(id => {
+        const { thought } = this.locateThought(session, id);
+        if (thought.type !== 'conclusion') {
+          throw new Error(`Thought ${id} is not a conclusion (type: ${thought.type})`);
+        }
+        return thought;
+      });
+    } else {
+      conclusions = thoughts.filter(t => t.type === 'conclusion' && (t.tags || []).includes('action'));
+      if (conclusions.length === 0) {
+        throw new Error(`No conclusions tagged "action" in session ${sessionId}; pass thoughtIds to choose conclusions`);
+      }
+    }
+
+    const report = addTasksFromThoughts(conclusions.map(t => ({
+      sessionId,
+      thoughtId: t.id,
+      title: t.content.split('\n')[0].substring(0, 120),
+      content: t.content,
+      tags: (t.tags || []).filter(tag => tag !== 'action'),
+      reasoning: premisesOf(t)
+        .map(id => thoughts.find(premise => premise.id === id))
+        .filter(Boolean)
+        .map(premise => ({ thoughtId: premise.id, type: premise.type, content: premise.content }))
+    })), list);
+
+    for (const { thoughtId, taskId } of report.created) {
+      this.locateThought(session, thoughtId).thought.taskId = taskId;
+    }
+    if (report.created.length > 0) {
+      this.save();
     }
+    this.log(`Created ${report.created.length} tasks from session ${sessionId}`, 'info');
+    return report;
+  }
+
+  // Looks a thought up by id across the main line and every branch
+  locateThought(session, thoughtId) {
+    const inMain = session.thoughts.find(t => t.id === thoughtId);
+    if (inMain) {
+      return { thought: inMain, branch: null };
+    }
+    for (const branch of session.branches) {
+      const thought = branch.thoughts.find(t => t.id === thoughtId);
+      if (thought) {
+        return { thought, branch };
+      }
+    }
+    throw new Error(`Thought ${thoughtId} not found in session ${session.id}`);
+  }
+
+  // Thoughts revised before versions were stored get their history rebuilt from the revision log
+  getVersions(session, thought) {
+    if (!thought.versions) {
+      const revisions = session.revisions.filter(r => r.originalThoughtId === thought.id);
+      thought.versions = [{
+        version: 1,
+        content: revisions.length > 0 ? revisions[0].originalContent : thought.content,
+        reason: null,
+        timestamp: thought.timestamp
+      }];
+      for (const r of revisions) {
+        thought.versions.push({
+          version: thought.versions.length + 1,
+          content: r.newContent,
+          reason: r.reason,
+          timestamp: r.timestamp
+        });
+      }
+    }
+    return thought.versions;
+  }
+
+  getVersion(session, thought, version) {
+    const entry = this.getVersions(session, thought).find(v => v.version === version);
+    if (!entry) {
+      throw new Error(`Version ${version} of thought ${thought.id} not found`);
+    }
+    return entry;
+  }
+
+  listVersions(sessionId, thoughtId) {
+    const session = this.getSession(sessionId);
+    const { thought } = this.locateThought(session, thoughtId);
+    return {
+      thoughtId,
+      currentVersion: this.getVersions(session, thought).length,
+      versions: thought.versions
+    };
+  }
+
+  diffVersions(sessionId, thoughtId, fromVersion, toVersion = null) {
+    const session = this.getSession(sessionId);
+    const { thought } = this.locateThought(session, thoughtId);
+    const from = this.getVersion(session, thought, fromVersion);
+    const to = this.getVersion(session, thought, toVersion || this.getVersions(session, thought).length);
+    return {
+      thoughtId,
+      fromVersion: from.version,
+      toVersion: to.version,
+      diff: diffLines(from.content, to.content)
+    };
+  }
 
-    const originalThought = session.thoughts.find(t => t.id === thoughtId);
+  // Reverting adds a new version with the old content, so later versions stay in the history
+  revertThought(sessionId, thoughtId, version) {
+    const session = this.getSession(sessionId);
+    const { thought, branch } = this.locateThought(session, thoughtId);
+    const target = this.getVersion(session, thought, version);
+    return this.revisethought(sessionId, thoughtId, target.content, `Reverted to version ${version}`, branch ? branch.id : null);
+  }
+
+  revisethought(sessionId, thoughtId, newContent, reason = null, branchId = null, premises = null) {
+    const session = this.getWritableSession(sessionId);
+
+    const thoughts = branchId ? this.getOpenBranch(session, branchId).thoughts : session.thoughts;
+    const originalThought = thoughts.find(t => t.id === thoughtId);
     if (!originalThought) {
-      throw new Error(`Thought ${thoughtId} not found`);
+      throw new Error(`Thought ${thoughtId} not found${branchId ? ` in branch ${branchId}` : ''}`);
     }
 
+    const newPremises = premises ? this.validatePremises(session, premises) : null;
+    const versions = this.getVersions(session, originalThought);
     const revision = {
       originalThoughtId: thoughtId,
+      branchId,
+      version: versions.length + 1,
       originalContent: originalThought.content,
       newContent,
       reason,
       timestamp: new Date()
     };
 
+    versions.push({ version: revision.version, content: newContent, reason, timestamp: revision.timestamp });
     session.revisions.push(revision);
     originalThought.content = newContent;
+    originalThought.tokens = fsHandler.countTokens(newContent);
     originalThought.isRevised = true;
     originalThought.revisionReason = reason;
+    if (newPremises) {
+      originalThought.premises = newPremises;
+    }
+    this.save();
 
     this.log(`Revised thought ${thoughtId}: ${reason || 'No reason provided'}`, 'revision');
     
@@ -80,43 +484,124 @@ class SequentialThinking {
   }
 
   branchThinking(sessionId, fromThoughtId, branchName, initialThought) {
-    const session = this.sessions.get(sessionId);
-    if (!session) {
-      throw new Error(`Session ${sessionId} not found`);
-    }
+    const session = this.getWritableSession(sessionId);
+    this.locateThought(session, fromThoughtId);
 
     const branch = {
       id: `${sessionId}_branch_${session.branches.length + 1}`,
       name: branchName,
       fromThoughtId,
       thoughts: [],
+      status: 'open',
       timestamp: new Date()
     };
 
     if (initialThought) {
+      this.checkThoughtLimit(session);
       branch.thoughts.push({
-        id: 1,
+        id: this.nextThoughtId(session),
         content: initialThought,
+        tokens: fsHandler.countTokens(initialThought),
         type: 'branch_start',
         timestamp: new Date(),
-        parentThought: fromThoughtId
+        confidence: null,
+        tags: [],
+        parentThought: fromThoughtId,
+        premises: this.validatePremises(session, [fromThoughtId]),
+        branchId: branch.id
       });
     }
 
     session.branches.push(branch);
+    this.save();
     this.log(`Created branch '${branchName}' from thought ${fromThoughtId}`, 'branch');
     
     return branch;
   }
 
-  adjustTotalThoughts(sessionId, newTotal, reason = null) {
-    const session = this.sessions.get(sessionId);
-    if (!session) {
-      throw new Error(`Session ${sessionId} not found`);
+  // A merged branch's thoughts live on the main line, marked with mergedFrom
+  branchThoughts(session, branch) {
+    if (branch.status === 'merged') {
+      return session.thoughts.filter(t => t.mergedFrom === branch.id);
     }
+    return branch.thoughts;
+  }
+
+  branchStats(session, branch) {
+    const thoughts = this.branchThoughts(session, branch);
+    const rated = thoughts.filter(t => typeof t.confidence === 'number');
+    return {
+      id: branch.id,
+      name: branch.name,
+      status: branch.status || 'open',
+      fromThoughtId: branch.fromThoughtId,
+      thoughtCount: thoughts.length,
+      averageConfidence: rated.length > 0
+        ? Math.round(rated.reduce((sum, t) => sum + t.confidence, 0) / rated.length)
+        : null,
+      conclusions: thoughts.filter(t => t.type === 'conclusion').map(t => this.summarizeThought(t))
+    };
+  }
+
+  compareBranches(sessionId, branchId, otherBranchId) {
+    const session = this.getSession(sessionId);
+    const left = this.branchStats(session, this.getBranch(session, branchId));
+    const right = this.branchStats(session, this.getBranch(session, otherBranchId));
+    const higher = (a, b) => a > b ? left.id : b > a ? right.id : null;
+
+    return {
+      branches: [left, right],
+      moreThoughts: higher(left.thoughtCount, right.thoughtCount),
+      higherConfidence: higher(left.averageConfidence ?? -1, right.averageConfidence ?? -1),
+      moreConclusions: higher(left.conclusions.length, right.conclusions.length)
+    };
+  }
+
+  // Moves the branch's thoughts onto the end of the main line; the branch stays as a record
+  mergeBranch(sessionId, branchId, reason = null) {
+    const session = this.getWritableSession(sessionId);
+    const branch = this.getOpenBranch(session, branchId);
+
+    const merged = branch.thoughts.map(t => {
+      const thought = { ...t, mergedFrom: branch.id };
+      delete thought.branchId;
+      return thought;
+    });
+    session.thoughts.push(...merged);
+    session.currentThought = session.thoughts.length;
+
+    branch.status = 'merged';
+    branch.mergedAt = new Date();
+    branch.mergedThoughtIds = merged.map(t => t.id);
+    branch.mergeReason = reason;
+    branch.thoughts = [];
+    this.save();
+
+    this.log(`Merged branch '${branch.name}' (${merged.length} thoughts) into the main line`, 'branch');
+
+    return { branchId: branch.id, name: branch.name, mergedThoughtIds: branch.mergedThoughtIds, reason };
+  }
+
+  abandonBranch(sessionId, branchId, reason) {
+    const session = this.getWritableSession(sessionId);
+    const branch = this.getOpenBranch(session, branchId);
+
+    branch.status = 'abandoned';
+    branch.abandonedAt = new Date();
+    branch.abandonReason = reason;
+    this.save();
+
+    this.log(`Abandoned branch '${branch.name}': ${reason}`, 'branch');
+
+    return { branchId: branch.id, name: branch.name, reason };
+  }
+
+  adjustTotalThoughts(sessionId, newTotal, reason = null) {
+    const session = this.getWritableSession(sessionId);
 
     const oldTotal = session.totalThoughts;
     session.totalThoughts = Math.max(1, newTotal);
+    this.save();
     
     this.log(`Adjusted total thoughts from ${oldTotal} to ${session.totalThoughts}${reason ? ': ' + reason : ''}`, 'adjustment');
     
@@ -131,6 +616,88 @@ class SequentialThinking {
     return session;
   }
 
+  getWritableSession(sessionId) {
+    const session = this.getSession(sessionId);
+    if (session.closedAt) {
+      throw new Error(`Session ${sessionId} is closed`);
+    }
+    return session;
+  }
+
+  // Thoughts saved before token tracking are counted on first use
+  thoughtTokens(thought) {
+    if (thought.tokens === undefined) {
+      thought.tokens = fsHandler.countTokens(thought.content);
+    }
+    return thought.tokens;
+  }
+
+  getTokenUsage(session) {
+    const used = this.allThoughts(session).reduce((sum, t) => sum + this.thoughtTokens(t), 0);
+    const budget = session.tokenBudget || null;
+    return {
+      used,
+      budget,
+      remaining: budget ? Math.max(0, budget - used) : null,
+      percentUsed: budget ? Math.round((used / budget) * 100) : null
+    };
+  }
+
+  getTokenWarning(session) {
+    const { used, budget, percentUsed } = this.getTokenUsage(session);
+    if (!budget || used < budget * BUDGET_WARNING_RATIO) {
+      return null;
+    }
+    if (used >= budget) {
+      return `Token budget exceeded: ${used} of ${budget} tokens used`;
+    }
+    return `Token budget nearly used: ${used} of ${budget} tokens (${percentUsed}%)`;
+  }
+
+  setTokenBudget(sessionId, tokenBudget) {
+    const session = this.getWritableSession(sessionId);
+    session.tokenBudget = tokenBudget;
+    this.save();
+    this.log(`Set token budget of session ${sessionId} to ${tokenBudget}`, 'adjustment');
+    return this.getTokenUsage(session);
+  }
+
+  // Summary with full thought text, cut down to roughly maxTokens by shortening the
+  // oldest thoughts first, and only then dropping their text altogether
+  getFittedSummary(sessionId, maxTokens) {
+    const summary = this.getSummary(sessionId, null);
+    const thoughts = [...summary.thoughts, ...summary.branches.flatMap(b => b.thoughts)]
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const count = () => fsHandler.countTokens(JSON.stringify(summary, null, 2));
+
+    let total = count();
+    const shortened = new Set();
+    for (const length of [SHORTENED_LENGTH, 0]) {
+      for (const thought of thoughts) {
+        if (total <= maxTokens) break;
+        if (thought.content.length <= length) continue;
+        const before = fsHandler.countTokens(thought.content);
+        thought.content = length > 0 ? `${thought.content.substring(0, length)}...` : '';
+        thought.shortened = true;
+        shortened.add(thought.id);
+        total -= before - fsHandler.countTokens(thought.content);
+      }
+    }
+
+    total = count();
+    summary.fit = { maxTokens, tokens: total, fitted: total <= maxTokens, shortenedThoughts: shortened.size };
+    return summary;
+  }
+
+  // Read-only lookups may also target archived sessions
+  getAnySession(sessionId) {
+    const session = this.sessions.get(sessionId) || this.archive.get(sessionId);
+    if (!session) {
+      throw new Error(`Session ${sessionId} not found`);
+    }
+    return session;
+  }
+
   getProgress(sessionId) {
     const session = this.getSession(sessionId);
     return {
@@ -142,12 +709,35 @@ class SequentialThinking {
       thoughtsRemaining: Math.max(0, session.totalThoughts - session.currentThought),
       branches: session.branches.length,
       revisions: session.revisions.length,
+      tokens: this.getTokenUsage(session),
+      closed: Boolean(session.closedAt),
+      lastActivity: this.lastActivityOf(session),
       duration: new Date() - session.startTime
     };
   }
 
-  getSummary(sessionId) {
+  // maxLength null keeps the full text
+  summarizeThought(t, maxLength = 200) {
+    const cut = maxLength !== null && t.content.length > maxLength;
+    return {
+      id: t.id,
+      type: t.type,
+      content: cut ? `${t.content.substring(0, maxLength)}...` : t.content,
+      tokens: this.thoughtTokens(t),
+      confidence: t.confidence,
+      tags: t.tags || [],
+      premises: premisesOf(t),
+      isRevised: t.isRevised || false,
+      ...(t.taskId ? { taskId: t.taskId } : {}),
+      ...(t.mergedFrom ? { mergedFrom: t.mergedFrom } : {}),
+      timestamp: t.timestamp
+    };
+  }
+
+  getSummary(sessionId, contentLength = 200) {
     const session = this.getSession(sessionId);
+    const withStatus = status => session.branches.filter(b => (b.status || 'open') === status);
+    const reasoning = checkReasoning(this.allThoughts(session));
     
     return {
       session: {
@@ -157,24 +747,39 @@ class SequentialThinking {
         totalThoughts: session.totalThoughts,
         currentThought: session.currentThought
       },
-      thoughts: session.thoughts.map(t => ({
-        id: t.id,
-        type: t.type,
-        content: t.content.substring(0, 200) + (t.content.length > 200 ? '...' : ''),
-        confidence: t.confidence,
-        tags: t.tags,
-        isRevised: t.isRevised || false,
-        timestamp: t.timestamp
-      })),
+      thoughts: session.thoughts.map(t => this.summarizeThought(t, contentLength)),
       branches: session.branches.map(b => ({
         id: b.id,
         name: b.name,
         fromThoughtId: b.fromThoughtId,
-        thoughtCount: b.thoughts.length,
-        timestamp: b.timestamp
+        status: b.status || 'open',
+        thoughtCount: this.branchThoughts(session, b).length,
+        timestamp: b.timestamp,
+        thoughts: b.thoughts.map(t => this.summarizeThought(t, contentLength))
+      })),
+      mergedBranches: withStatus('merged').map(b => ({
+        id: b.id,
+        name: b.name,
+        mergedAt: b.mergedAt,
+        mergedThoughtIds: b.mergedThoughtIds,
+        reason: b.mergeReason || null
+      })),
+      abandonedBranches: withStatus('abandoned').map(b => ({
+        id: b.id,
+        name: b.name,
+        abandonedAt: b.abandonedAt,
+        reason: b.abandonReason
+      })),
+      conclusions: reasoning.conclusions.map(c => ({
+        thoughtId: c.thoughtId,
+        premises: c.premises,
+        wellSupported: c.wellSupported,
+        issues: c.issues.map(i => i.message)
       })),
       revisions: session.revisions.map(r => ({
         thoughtId: r.originalThoughtId,
+        branchId: r.branchId || null,
+        version: r.version || null,
         reason: r.reason,
         timestamp: r.timestamp
       })),
@@ -182,7 +787,86 @@ class SequentialThinking {
     };
   }
 
+  searchThoughts({ query, tags, type, minConfidence, maxConfidence, includeArchived = false, limit = 50 }) {
+    const sessions = [...this.sessions.values(), ...(includeArchived ? this.archive.values() : [])];
+    const needle = query ? query.toLowerCase() : null;
+    const matches = [];
+
+    for (const session of sessions) {
+      for (const t of this.allThoughts(session)) {
+        if (needle && !t.content.toLowerCase().includes(needle)) continue;
+        if (type && t.type !== type) continue;
+        if (tags && !tags.every(tag => (t.tags || []).includes(tag))) continue;
+        if (minConfidence !== undefined || maxConfidence !== undefined) {
+          // Unrated thoughts never match a confidence filter
+          if (typeof t.confidence !== 'number') continue;
+          if (minConfidence !== undefined && t.confidence < minConfidence) continue;
+          if (maxConfidence !== undefined && t.confidence > maxConfidence) continue;
+        }
+        matches.push({ sessionId: session.id, branchId: t.branchId || null, ...this.summarizeThought(t) });
+      }
+    }
+
+    matches.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    return { total: matches.length, results: matches.slice(0, limit) };
+  }
+
+  getAnalytics(sessionId) {
+    const session = this.getAnySession(sessionId);
+    const lines = [
+      { branchId: null, thoughts: session.thoughts },
+      ...session.branches.map(b => ({ branchId: b.id, thoughts: b.thoughts }))
+    ];
+    const allThoughts = lines.flatMap(line => line.thoughts);
+
+    const rated = allThoughts
+      .filter(t => typeof t.confidence === 'number')
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const points = rated.map(t => ({ thoughtId: t.id, confidence: t.confidence, timestamp: t.timestamp }));
+
+    // A question stays open until a conclusion follows it on the same line of thought
+    const openQuestions = [];
+    for (const line of lines) {
+      line.thoughts.forEach((t, index) => {
+        if (t.type === 'question' && !line.thoughts.slice(index + 1).some(later => later.type === 'conclusion')) {
+          openQuestions.push({ branchId: line.branchId, ...this.summarizeThought(t) });
+        }
+      });
+    }
+
+    const revisionsByThought = {};
+    for (const r of session.revisions) {
+      revisionsByThought[r.originalThoughtId] = (revisionsByThought[r.originalThoughtId] || 0) + 1;
+    }
+
+    const thoughtsByType = {};
+    for (const t of allThoughts) {
+      thoughtsByType[t.type] = (thoughtsByType[t.type] || 0) + 1;
+    }
+
+    return {
+      sessionId: session.id,
+      thoughts: allThoughts.length,
+      thoughtsByType,
+      confidence: {
+        rated: points.length,
+        average: points.length > 0 ? Math.round(points.reduce((sum, p) => sum + p.confidence, 0) / points.length) : null,
+        first: points.length > 0 ? points[0].confidence : null,
+        last: points.length > 0 ? points[points.length - 1].confidence : null,
+        trend: confidenceTrend(points.map(p => p.confidence)),
+        points
+      },
+      openQuestions,
+      revisions: {
+        total: session.revisions.length,
+        revisedThoughts: Object.keys(revisionsByThought).length,
+        byThought: revisionsByThought
+      }
+    };
+  }
+
   listSessions() {
+    this.expireIdleSessions();
     return Array.from(this.sessions.keys()).map(sessionId => ({
       id: sessionId,
       ...this.getProgress(sessionId)
@@ -190,13 +874,51 @@ class SequentialThinking {
   }
 
   deleteSession(sessionId) {
-    const existed = this.sessions.delete(sessionId);
+    const existed = this.sessions.delete(sessionId) || this.archive.delete(sessionId);
     if (existed) {
+      this.save();
       this.log(`Deleted session: ${sessionId}`, 'info');
     }
     return existed;
   }
 
+  archiveSession(sessionId) {
+    const session = this.getSession(sessionId);
+    session.archivedAt = new Date();
+    this.sessions.delete(sessionId);
+    this.archive.set(sessionId, session);
+    this.save();
+    this.log(`Archived session: ${sessionId}`, 'info');
+    return { sessionId, archivedAt: session.archivedAt, thoughts: session.thoughts.length };
+  }
+
+  restoreSession(sessionId) {
+    const session = this.archive.get(sessionId);
+    if (!session) {
+      throw new Error(`Archived session ${sessionId} not found`);
+    }
+    this.enforceSessionLimit();
+    delete session.archivedAt;
+    delete session.evictedReason;
+    this.touch(session);
+    this.archive.delete(sessionId);
+    this.sessions.set(sessionId, session);
+    this.save();
+    this.log(`Restored session: ${sessionId}`, 'info');
+    return this.getProgress(sessionId);
+  }
+
+  listArchivedSessions() {
+    return Array.from(this.archive.values()).map(session => ({
+      id: session.id,
+      archivedAt: session.archivedAt,
+      evictedReason: session.evictedReason || null,
+      startTime: session.startTime,
+      thoughts: session.thoughts.length,
+      branches: session.branches.length
+    }));
+  }
+
   log(message, type = 'info') {
     if (!this.enableLogging) return;
     
@@ -215,6 +937,53 @@ class SequentialThinking {
   }
 }
 
+// Line diff of two texts via longest common subsequence, rendered with +/- prefixes
+function diffLines(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push(`  ${a[i++]}`);
+      j++;
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      lines.push(`- ${a[i++]}`);
+    } else {
+      lines.push(`+ ${b[j++]}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+// Least-squares slope of confidence against thought order; a few points either way count as flat
+function confidenceTrend(values) {
+  if (values.length < 2) {
+    return 'insufficient_data';
+  }
+  const n = values.length;
+  const meanX = (n - 1) / 2;
+  const meanY = values.reduce((sum, v) => sum + v, 0) / n;
+  let numerator = 0;
+  let denominator = 0;
+  values.forEach((v, x) => {
+    numerator += (x - meanX) * (v - meanY);
+    denominator += (x - meanX) ** 2;
+  });
+  const slope = numerator / denominator;
+  if (slope > 1) return 'rising';
+  if (slope < -1) return 'falling';
+  return 'flat';
+}
+
 const thinkingHandler = new SequentialThinking();
 
 // Register the main sequential thinking tool
@@ -226,22 +995,36 @@ function registerTools(server) {
   inputSchema: {
     sessionId: z.string().optional().describe("Session ID (auto-generated if not provided)"),
     thought: z.string().describe("The current thought or analysis"),
-    type: z.enum(["analysis", "hypothesis", "question", "conclusion", "reflection", "branch_start"]).optional().describe("Type of thought"),
+    type: z.enum(THOUGHT_TYPES).optional().describe("Type of thought"),
     confidence: z.number().min(0).max(100).optional().describe("Confidence level (0-100)"),
     tags: z.array(z.string()).optional().describe("Tags for categorizing the thought"),
-    action: z.enum(["think", "revise", "branch", "adjust_total", "summary"]).optional().describe("Action to perform (default: think)"),
-    targetThoughtId: z.number().optional().describe("For revisions or branching, the thought ID to target"),
+    action: z.enum(["think", "revise", "branch", "adjust_total", "summary", "compare", "merge", "abandon", "versions", "diff", "revert", "create_tasks", "close", "budget"]).optional().describe("Action to perform (default: think)"),
+    targetThoughtId: z.number().optional().describe("For revisions, branching, versions, diff or revert, the thought ID to target"),
+    version: z.number().optional().describe("For diff, the version to compare from; for revert, the version to restore"),
+    toVersion: z.number().optional().describe("For diff, the version to compare to (default: current)"),
     newTotal: z.number().optional().describe("For adjust_total action, the new total number of thoughts"),
-    reason: z.string().optional().describe("Reason for revision or adjustment"),
-    branchName: z.string().optional().describe("Name for new thinking branch")
+    reason: z.string().optional().describe("Reason for revision, adjustment, merge, abandoning a branch or closing the session"),
+    branchName: z.string().optional().describe("Name for new thinking branch"),
+    premises: z.array(z.number()).optional().describe("For think and revise, ids of earlier thoughts this thought builds on"),
+    branchId: z.string().optional().describe("For think and revise, the branch to work in instead of the main line; for compare, merge and abandon, the branch to act on"),
+    otherBranchId: z.string().optional().describe("For compare, the branch to compare against"),
+    thoughtIds: z.array(z.number()).optional().describe("For create_tasks, the conclusions to turn into tasks (default: conclusions tagged action)"),
+    list: z.string().optional().describe("For create_tasks, the todo list to add tasks to (default: the active list)"),
+    tokenBudget: z.number().int().positive().optional().describe("For budget, the session's token budget; responses warn from 80% of it"),
+    maxTokens: z.number().int().positive().optional().describe("For summary, fit the summary into about this many tokens, shortening older thoughts first")
   },
 },
-async ({ sessionId, thought, type, confidence, tags, action = "think", targetThoughtId, newTotal, reason, branchName }) => {
+async ({ sessionId, thought, type, confidence, tags, premises, action = "think", targetThoughtId, version, toVersion, newTotal, reason, branchName, branchId, otherBranchId, thoughtIds, list, tokenBudget, maxTokens }) => {
   try {
-    // Create session if it doesn't exist
+    thinkingHandler.expireIdleSessions();
+
+    // Create session if it doesn't exist; strict mode only creates sessions without an id
     let session;
     if (sessionId && thinkingHandler.sessions.has(sessionId)) {
       session = thinkingHandler.getSession(sessionId);
+      thinkingHandler.touch(session);
+    } else if (sessionId && thinkingHandler.getLimits().strict) {
+      throw new Error(`Session ${sessionId} not found (strict mode: omit sessionId to start a new session)`);
     } else {
       session = thinkingHandler.createSession(sessionId);
     }
@@ -254,20 +1037,24 @@ async ({ sessionId, thought, type, confidence, tags, action = "think", targetTho
           content: thought,
           type,
           confidence,
-          tags
-        });
+          tags,
+          premises
+        }, branchId);
         result = {
           action: "thought_added",
           thought: newThought,
           progress: thinkingHandler.getProgress(session.id)
         };
+        if (session.template) {
+          result.nextStep = thinkingHandler.getNextStep(session.id).nextStep;
+        }
         break;
 
       case "revise":
         if (!targetThoughtId) {
           throw new Error("targetThoughtId required for revision");
         }
-        const revision = thinkingHandler.revisethought(session.id, targetThoughtId, thought, reason);
+        const revision = thinkingHandler.revisethought(session.id, targetThoughtId, thought, reason, branchId, premises);
         result = {
           action: "thought_revised",
           revision,
@@ -302,10 +1089,100 @@ async ({ sessionId, thought, type, confidence, tags, action = "think", targetTho
         };
         break;
 
+      case "compare":
+        if (!branchId || !otherBranchId) {
+          throw new Error("branchId and otherBranchId required for comparison");
+        }
+        result = {
+          action: "branches_compared",
+          comparison: thinkingHandler.compareBranches(session.id, branchId, otherBranchId)
+        };
+        break;
+
+      case "merge":
+        if (!branchId) {
+          throw new Error("branchId required for merging");
+        }
+        const merge = thinkingHandler.mergeBranch(session.id, branchId, reason);
+        result = {
+          action: "branch_merged",
+          merge,
+          progress: thinkingHandler.getProgress(session.id)
+        };
+        break;
+
+      case "abandon":
+        if (!branchId) {
+          throw new Error("branchId required for abandoning a branch");
+        }
+        if (!reason) {
+          throw new Error("reason required for abandoning a branch");
+        }
+        result = {
+          action: "branch_abandoned",
+          abandoned: thinkingHandler.abandonBranch(session.id, branchId, reason)
+        };
+        break;
+
+      case "versions":
+        if (!targetThoughtId) {
+          throw new Error("targetThoughtId required for listing versions");
+        }
+        result = {
+          action: "versions_listed",
+          ...thinkingHandler.listVersions(session.id, targetThoughtId)
+        };
+        break;
+
+      case "diff":
+        if (!targetThoughtId || !version) {
+          throw new Error("targetThoughtId and version required for diff");
+        }
+        result = {
+          action: "versions_diffed",
+          ...thinkingHandler.diffVersions(session.id, targetThoughtId, version, toVersion)
+        };
+        break;
+
+      case "revert":
+        if (!targetThoughtId || !version) {
+          throw new Error("targetThoughtId and version required for revert");
+        }
+        result = {
+          action: "thought_reverted",
+          revision: thinkingHandler.revertThought(session.id, targetThoughtId, version),
+          progress: thinkingHandler.getProgress(session.id)
+        };
+        break;
+
+      case "create_tasks":
+        result = {
+          action: "tasks_created",
+          ...thinkingHandler.conclusionsToTasks(session.id, thoughtIds, list)
+        };
+        break;
+
+      case "close":
+        result = {
+          action: "session_closed",
+          closed: thinkingHandler.closeSession(session.id, reason)
+        };
+        break;
+
+      case "budget":
+        if (!tokenBudget) {
+          throw new Error("tokenBudget required for budget");
+        }
+        result = {
+          action: "budget_set",
+          tokens: thinkingHandler.setTokenBudget(session.id, tokenBudget)
+        };
+        break;
+
       case "summary":
         result = {
           action: "summary_generated",
-          summary: thinkingHandler.getSummary(session.id)
+          summary: maxTokens ? thinkingHandler.getFittedSummary(session.id, maxTokens) : thinkingHandler.getSummary(session.id)
         };
         break;
 
@@ -313,6 +1190,11 @@ async ({ sessionId, thought, type, confidence, tags, action = "think", targetTho
         throw new Error(`Unknown action: ${action}`);
     }
 
+    const tokenWarning = thinkingHandler.getTokenWarning(session);
+    if (tokenWarning) {
+      result.tokenWarning = tokenWarning;
+    }
+
     return {
       content: [{ type: "text", text: JSON.stringify(result, null, 2) }],
     };
@@ -325,17 +1207,199 @@ async ({ sessionId, thought, type, confidence, tags, action = "think", targetTho
 );
 
 // Additional helper tools
+  server.registerTool("thinking_export", {
+  name: "thinking_export",
+  title: "Export Thinking Session",
+  description: "Render a thinking session as a Markdown report (full thoughts, types, confidence, tags, revisions and branches, with a flowchart) or as a Mermaid flowchart of the thought and branch graph. Optionally writes the output to a file",
+  inputSchema: {
+    sessionId: z.string().describe("Session ID to export (active or archived)"),
+    format: z.enum(["markdown", "mermaid"]).optional().describe("Output format (default: markdown)"),
+    filePath: z.string().optional().describe("Write the output to this file instead of returning it"),
+  },
+},
+async ({ sessionId, format = "markdown", filePath }) => {
+  try {
+    const session = thinkingHandler.getAnySession(sessionId);
+    const output = format === "mermaid" ? renderMermaid(session) : renderMarkdown(session);
+    if (filePath) {
+      fs.writeFileSync(filePath, output + "\n", "utf8");
+      return {
+        content: [{ type: "text", text: `Exported session ${sessionId} as ${format} to: ${filePath}` }],
+      };
+    }
+    return {
+      content: [{ type: "text", text: output }],
+    };
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error: ${error.message}` }],
+    };
+  }
+}
+);
+
+  server.registerTool("thinking_check", {
+  name: "thinking_check",
+  title: "Check Reasoning",
+  description: "Check the premise graph of a thinking session: conclusions citing no premises, circular support, and conclusions resting on a revised or low-confidence hypothesis",
+  inputSchema: {
+    sessionId: z.string().describe("Session ID to check (active or archived)"),
+    minConfidence: z.number().min(0).max(100).optional().describe("Hypotheses rated below this confidence are flagged (default: 50)"),
+  },
+},
+async ({ sessionId, minConfidence }) => {
+  try {
+    const checks = thinkingHandler.checkReasoning(sessionId, minConfidence);
+    return {
+      content: [{ type: "text", text: JSON.stringify(checks, null, 2) }],
+    };
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error: ${error.message}` }],
+    };
+  }
+}
+);
+
+  server.registerTool("thinking_templates", {
+  name: "thinking_templates",
+  title: "List Thinking Templates",
+  description: "List the reasoning templates available to thinking_start: built-in (five_whys, pros_cons, pre_mortem, debugging) and those defined under thinking.templates in .n1ght.json",
+  inputSchema: {},
+},
+async () => {
+  try {
+    const templates = Object.entries(thinkingHandler.getTemplates()).map(([name, t]) => ({
+      name,
+      description: t.description,
+      source: t.source,
+      steps: t.steps.map(step => `${step.type || 'analysis'}: ${step.prompt}`)
+    }));
+    return {
+      content: [{ type: "text", text: JSON.stringify(templates, null, 2) }],
+    };
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error: ${error.message}` }],
+    };
+  }
+}
+);
+
+  server.registerTool("thinking_start", {
+  name: "thinking_start",
+  title: "Start Thinking From Template",
+  description: "Start a new thinking session seeded with a template's steps; the total is set to the number of steps and thoughts without a type take the type of their step",
+  inputSchema: {
+    template: z.string().describe("Template name (see thinking_templates)"),
+    sessionId: z.string().optional().describe("Session ID (auto-generated if not provided)"),
+  },
+},
+async ({ template, sessionId }) => {
+  try {
+    const session = thinkingHandler.startFromTemplate(template, sessionId);
+    const result = {
+      action: "session_started",
+      ...thinkingHandler.getNextStep(session.id),
+      progress: thinkingHandler.getProgress(session.id)
+    };
+    return {
+      content: [{ type: "text", text: JSON.stringify(result, null, 2) }],
+    };
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error: ${error.message}` }],
+    };
+  }
+}
+);
+
+  server.registerTool("thinking_next_step", {
+  name: "thinking_next_step",
+  title: "Next Thinking Step",
+  description: "Tell which template step comes next in a thinking session, with its expected thought type and prompt. nextStep is null once every step is done or when the session has no template",
+  inputSchema: {
+    sessionId: z.string().describe("Session ID"),
+  },
+},
+async ({ sessionId }) => {
+  try {
+    const next = thinkingHandler.getNextStep(sessionId);
+    return {
+      content: [{ type: "text", text: JSON.stringify(next, null, 2) }],
+    };
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error: ${error.message}` }],
+    };
+  }
+}
+);
+
+  server.registerTool("thinking_search", {
+  name: "thinking_search",
+  title: "Search Thoughts",
+  description: "Search thoughts across all thinking sessions and their branches by content, tags, type and confidence range",
+  inputSchema: {
+    query: z.string().optional().describe("Case-insensitive text to look for in thought content"),
+    tags: z.array(z.string()).optional().describe("Only thoughts carrying all of these tags"),
+    type: z.enum(THOUGHT_TYPES).optional().describe("Only thoughts of this type"),
+    minConfidence: z.number().min(0).max(100).optional().describe("Minimum confidence (inclusive)"),
+    maxConfidence: z.number().min(0).max(100).optional().describe("Maximum confidence (inclusive)"),
+    includeArchived: z.boolean().optional().describe("Also search archived sessions (default: false)"),
+    limit: z.number().min(1).optional().describe("Maximum number of results (default: 50)"),
+  },
+},
+async (filters) => {
+  try {
+    const result = thinkingHandler.searchThoughts(filters);
+    return {
+      content: [{ type: "text", text: JSON.stringify(result, null, 2) }],
+    };
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error: ${error.message}` }],
+    };
+  }
+}
+);
+
+  server.registerTool("thinking_analytics", {
+  name: "thinking_analytics",
+  title: "Thinking Session Analytics",
+  description: "Analyse a thinking session: confidence trend over time, open questions never followed by a conclusion, revision counts and thoughts by type",
+  inputSchema: {
+    sessionId: z.string().describe("Session ID to analyse (active or archived)"),
+  },
+},
+async ({ sessionId }) => {
+  try {
+    const analytics = thinkingHandler.getAnalytics(sessionId);
+    return {
+      content: [{ type: "text", text: JSON.stringify(analytics, null, 2) }],
+    };
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error: ${error.message}` }],
+    };
+  }
+}
+);
+
   server.registerTool("thinking_sessions", {
   name: "thinking_sessions",
   title: "List Thinking Sessions",
   description: "List all active thinking sessions with their progress",
-  inputSchema: {},
+  inputSchema: {
+    includeArchived: z.boolean().optional().describe("Also list archived sessions (default: false)"),
+  },
 },
-async () => {
+async ({ includeArchived = false }) => {
   try {
     const sessions = thinkingHandler.listSessions();
+    const result = includeArchived ? { sessions, archived: thinkingHandler.listArchivedSessions() } : sessions;
     return {
-      content: [{ type: "text", text: JSON.stringify(sessions, null, 2) }],
+      content: [{ type: "text", text: JSON.stringify(result, null, 2) }],
     };
   } catch (error) {
     return {
@@ -348,7 +1412,7 @@ async () => {
   server.registerTool("thinking_delete", {
   name: "thinking_delete",
   title: "Delete Thinking Session",
-  description: "Delete a thinking session and all its data",
+  description: "Delete a thinking session (active or archived) and all its data",
   inputSchema: {
     sessionId: z.string().describe("Session ID to delete"),
   },
@@ -365,6 +1429,50 @@ async ({ sessionId }) => {
     };
   }
 }
+);
+
+  server.registerTool("thinking_archive", {
+  name: "thinking_archive",
+  title: "Archive Thinking Session",
+  description: "Move a finished thinking session to the archive. Archived sessions are kept on disk but hidden from listings and cannot be continued",
+  inputSchema: {
+    sessionId: z.string().describe("Session ID to archive"),
+  },
+},
+async ({ sessionId }) => {
+  try {
+    const archived = thinkingHandler.archiveSession(sessionId);
+    return {
+      content: [{ type: "text", text: JSON.stringify({ archived: true, ...archived }, null, 2) }],
+    };
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error: ${error.message}` }],
+    };
+  }
+}
+);
+
+  server.registerTool("thinking_restore", {
+  name: "thinking_restore",
+  title: "Restore Thinking Session",
+  description: "Restore an archived thinking session so it can be continued",
+  inputSchema: {
+    sessionId: z.string().describe("Session ID to restore"),
+  },
+},
+async ({ sessionId }) => {
+  try {
+    const progress = thinkingHandler.restoreSession(sessionId);
+    return {
+      content: [{ type: "text", text: JSON.stringify({ restored: true, progress }, null, 2) }],
+    };
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error: ${error.message}` }],
+    };
+  }
+}
 );
 
 }
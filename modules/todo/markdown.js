@@ -0,0 +1,111 @@
+// GitHub-flavoured Markdown checklist conversion for the todo module
+//
+// Item format:
+//   - [ ] Title #tag #priority:10 #status:pending <!-- id:uuid -->
+// Nested list items become subtasks of the item above them. Titles are written with
+// "#" escaped as "\#" (and "\" as "\\") so a "#word" in a title is not read back as a tag.
+// Any trailing "#token" is a tag; tags are written with "%" and whitespace percent-encoded,
+// and with the colon encoded when they would read back as #priority:N or #status:x.
+
+const ITEM_PATTERN = /^(\s*)[-*+] \[( |x|X)\] (.*)$/;
+const ID_PATTERN = /\s*<!--\s*id:([\w-]+)\s*-->\s*$/;
+const TRAILING_TAG_PATTERN = /\s+#(\S+)$/;
+const RESERVED_TAG_PATTERN = /^(priority|status):/;
+
+function parseItemText(text) {
+  let rest = text;
+  let id = null;
+  const idMatch = rest.match(ID_PATTERN);
+  if (idMatch) {
+    id = idMatch[1];
+    rest = rest.slice(0, idMatch.index);
+  }
+
+  let priority;
+  let status;
+  const tags = [];
+  let tagMatch;
+  rest = ` ${rest.trimEnd()}`;
+  while ((tagMatch = rest.match(TRAILING_TAG_PATTERN))) {
+    const token = tagMatch[1];
+    const reserved = token.match(RESERVED_TAG_PATTERN);
+    const value = reserved ? token.slice(reserved[0].length) : '';
+    if (reserved && reserved[1] === 'priority' && value !== '' && !isNaN(Number(value))) {
+      priority = Number(value);
+    } else if (reserved && reserved[1] === 'status' && value !== '') {
+      status = value;
+    } else {
+      tags.unshift(decodeTag(token));
+    }
+    rest = rest.slice(0, tagMatch.index);
+  }
+
+  return { id, title: unescapeTitle(rest.trim()), priority, status, tags };
+}
+
+function encodeTag(tag) {
+  return tag.replace(/[%\s]/g, encodeURIComponent).replace(RESERVED_TAG_PATTERN, '$1%3A');
+}
+
+function decodeTag(token) {
+  // A hand-written "%" that is not a valid escape is kept as typed
+  return token.replace(/(%[0-9A-Fa-f]{2})+/g, sequence => {
+    try {
+      return decodeURIComponent(sequence);
+    } catch (error) {
+      return sequence;
+    }
+  });
+}
+
+function escapeTitle(title) {
+  return title.replace(/[\\#]/g, '\\$&');
+}
+
+function unescapeTitle(title) {
+  return title.replace(/\\([\\#])/g, '$1');
+}
+
+// Returns the lines before the first checklist item and the items in file order.
+// Each item carries the index of its parent item, or null at the top level.
+function parseChecklist(text) {
+  const lines = text.split(/\r?\n/);
+  const preamble = [];
+  const items = [];
+  const stack = []; // { indent, index } of the open ancestors
+
+  for (const line of lines) {
+    const match = line.match(ITEM_PATTERN);
+    if (!match) {
+      if (items.length === 0) {
+        preamble.push(line);
+      }
+      continue;
+    }
+
+    const indent = match[1].replace(/\t/g, '    ').length;
+    while (stack.length > 0 && stack[stack.length - 1].indent >= indent) {
+      stack.pop();
+    }
+
+    items.push({
+      ...parseItemText(match[3]),
+      checked: match[2] !== ' ',
+      parentIndex: stack.length > 0 ? stack[stack.length - 1].index : null
+    });
+    stack.push({ indent, index: items.length - 1 });
+  }
+
+  while (preamble.length > 0 && preamble[preamble.length - 1].trim() === '') {
+    preamble.pop();
+  }
+
+  return { preamble, items };
+}
+
+function renderItem(task, depth, checked) {
+  const tags = (task.tags || []).map(tag => ` #${encodeTag(tag)}`).join('');
+  return `${'  '.repeat(depth)}- [${checked ? 'x' : ' '}] ${escapeTitle(task.title)}${tags} #priority:${task.priority} #status:${task.status} <!-- id:${task.id} -->`;
+}
+
+module.exports = { parseChecklist, renderItem };
@@ -1,142 +1,1992 @@
 const { z } = require("zod");
+const { ResourceTemplate } = require("@modelcontextprotocol/sdk/server/mcp.js");
+const { SubscribeRequestSchema, UnsubscribeRequestSchema } = require("@modelcontextprotocol/sdk/types.js");
+const fs = require("fs");
+const path = require("path");
 const { v4: uuidv4 } = require('uuid');
+const { parseChecklist, renderItem } = require("./markdown.js");
+const { fsHandler, DEFAULT_EXCLUDE_PATTERNS } = require("../filesystem/filesystem.js");
+const { loadConfig, JsonFileStore } = require("../shared/storage.js");
+
+const COMMENT_MARKERS = ['TODO', 'FIXME', 'HACK', 'XXX'];
+const DEFAULT_HARVEST_MAX_FILE_SIZE = 1024 * 1024;
+const DEFAULT_LIST = 'default';
+
+// Default status workflow; override with "todo.workflow" in .n1ght.json
+const DEFAULT_WORKFLOW = {
+  initial: 'pending',
+  terminal: ['done', 'cancelled'],
+  transitions: {
+    pending: ['in_progress', 'blocked', 'cancelled'],
+    in_progress: ['review', 'pending', 'blocked', 'cancelled'],
+    review: ['done', 'in_progress', 'cancelled'],
+    blocked: ['pending', 'in_progress', 'cancelled'],
+    done: ['in_progress'],
+    cancelled: ['pending']
+  }
+};
+
+// Task storage backed by a project-local JSON file
+class TodoStorage {
+  constructor() {
+    this.enableLogging = process.env.TODO_LOG === 'true' || false;
+    this.config = loadConfig((message, type) => this.log(message, type));
+    this.filePath = this.getStoragePath();
+    this.store = new JsonFileStore(this.filePath, {
+      description: 'task file',
+      log: (message, type) => this.log(message, type)
+    });
+  }
+
+  getWorkflow() {
+    const configured = (this.config.todo && this.config.todo.workflow) || {};
+    const workflow = { ...DEFAULT_WORKFLOW, ...configured };
+    if (!workflow.transitions[workflow.initial]) {
+      this.log(`Workflow initial status "${workflow.initial}" has no transitions, using defaults`, 'warning');
+      return DEFAULT_WORKFLOW;
+    }
+    if (!Array.isArray(workflow.terminal) || workflow.terminal.length === 0) {
+      this.log('Workflow has no terminal statuses, using defaults', 'warning');
+      return DEFAULT_WORKFLOW;
+    }
+    const unknownTerminal = workflow.terminal.filter(status => !workflow.transitions[status]);
+    if (unknownTerminal.length > 0) {
+      this.log(`Workflow terminal statuses ${unknownTerminal.join(', ')} have no transitions, using defaults`, 'warning');
+      return DEFAULT_WORKFLOW;
+    }
+    return workflow;
+  }
+
+  getStoragePath() {
+    const configured = this.config.todo && this.config.todo.storagePath;
+    return path.resolve(process.cwd(), configured || ".todo.json");
+  }
+
+  // Returns { activeList, lists }. A plain task array from older files becomes the default list.
+  load() {
+    const data = this.store.read(data => {
+      if (!Array.isArray(data) && (!data || typeof data.lists !== 'object' || !data.lists[data.activeList])) {
+        throw new Error("expected task lists with an active list");
+      }
+    });
+    if (!data) {
+      return this.emptyState();
+    }
+    if (Array.isArray(data)) {
+      this.log(`Loaded ${data.length} tasks from ${this.filePath}`, 'info');
+      return this.emptyState(data);
+    }
+    this.log(`Loaded ${Object.keys(data.lists).length} task lists from ${this.filePath}`, 'info');
+    return data;
+  }
+
+  emptyState(tasks = []) {
+    return {
+      activeList: DEFAULT_LIST,
+      lists: {
+        [DEFAULT_LIST]: { name: DEFAULT_LIST, archived: false, createdAt: new Date().toISOString(), tasks }
+      }
+    };
+  }
+
+  save(state) {
+    this.store.write(state);
+  }
+
+  log(message, type = 'info') {
+    if (!this.enableLogging) return;
+
+    const colors = {
+      info: '\x1b[36m',      // Cyan
+      warning: '\x1b[33m',   // Yellow
+      error: '\x1b[31m'      // Red
+    };
+
+    const color = colors[type] || colors.info;
+    const timestamp = new Date().toISOString();
+    console.log(`${color}[${timestamp}] [TODO-${type.toUpperCase()}] ${message}\x1b[0m`);
+  }
+}
+
+const storage = new TodoStorage();
+const workflow = storage.getWorkflow();
 
 // Define the application's state
-const tasks = [];
+const state = storage.load();
+
+// Older task files store progress as a single string; turn it into a one-entry log
+for (const taskList of Object.values(state.lists)) {
+  for (const task of taskList.tasks) {
+    if (!Array.isArray(task.progress)) {
+      task.progress = task.progress ? [{ text: task.progress, percent: null, source: null, timestamp: null }] : [];
+    }
+  }
+}
+
+// Server and subscriptions for the todo:// resources, set by registerResources
+let resourceServer = null;
+const subscriptions = new Map(); // uri -> last content sent to subscribers
+let knownTaskIds = '';
+
+// Key for the todo://tasks/{id} listing, which shows the tasks of the active list
+function listedTaskIds() {
+  const { tasks = [] } = openList();
+  return `${state.activeList}:${tasks.map(task => task.id).join(',')}`;
+}
+
+function findTaskAnywhere(id) {
+  for (const taskList of Object.values(state.lists)) {
+    const task = taskList.tasks.find(task => task.id === id);
+    if (task) return task;
+  }
+  return null;
+}
+
+function readResource(uri) {
+  if (uri === 'todo://tasks') {
+    const { tasks, listName } = openList();
+    return JSON.stringify({ list: listName, tasks: tasks.map(task => presentTask(task)) }, null, 2);
+  }
+  const match = uri.match(/^todo:\/\/tasks\/(.+)$/);
+  const task = match ? findTaskAnywhere(decodeURIComponent(match[1])) : null;
+  return task ? JSON.stringify(task, null, 2) : null;
+}
+
+// Tells subscribed clients which todo:// resources changed since they were last notified
+function notifyResourceChanges() {
+  if (!resourceServer || !resourceServer.isConnected()) return;
+
+  for (const [uri, lastContent] of subscriptions) {
+    const content = readResource(uri);
+    if (content !== lastContent) {
+      subscriptions.set(uri, content);
+      resourceServer.server.sendResourceUpdated({ uri }).catch(() => {});
+    }
+  }
+
+  const taskIds = listedTaskIds();
+  if (taskIds !== knownTaskIds) {
+    knownTaskIds = taskIds;
+    resourceServer.sendResourceListChanged();
+  }
+}
+
+function saveState() {
+  storage.save(state);
+  notifyResourceChanges();
+}
+
+// Resolves a list name (default: the active list) to its tasks; archived lists are read-only
+function openList(name, write = false) {
+  const listName = name || state.activeList;
+  const taskList = state.lists[listName];
+  if (!taskList) {
+    return { error: `List not found: "${listName}"` };
+  }
+  if (write && taskList.archived) {
+    return { error: `List "${listName}" is archived; unarchive it to make changes` };
+  }
+  return { tasks: taskList.tasks, listName };
+}
+
+function summarizeList(taskList) {
+  return {
+    name: taskList.name,
+    active: taskList.name === state.activeList,
+    archived: taskList.archived,
+    createdAt: taskList.createdAt,
+    tasks: taskList.tasks.length,
+    done: taskList.tasks.filter(isDone).length
+  };
+}
+
+function isDone(task) {
+  return workflow.terminal.includes(task.status);
+}
+
+function normalizeStatus(status) {
+  return status.trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+// Statuses outside the workflow (e.g. from older task files) may move to any known status
+function validateTransition(from, to) {
+  if (!workflow.transitions[to]) {
+    throw new Error(`Unknown status "${to}". Valid statuses: ${Object.keys(workflow.transitions).join(', ')}`);
+  }
+  const allowed = workflow.transitions[from];
+  if (allowed && !allowed.includes(to)) {
+    throw new Error(`Invalid transition ${from} -> ${to}. Allowed from ${from}: ${allowed.join(', ') || 'none'}`);
+  }
+}
+
+// Every change to a task goes through here so markdown sync can tell it was edited
+function touchTask(task) {
+  task.updatedAt = new Date().toISOString();
+}
+
+function recordStatus(task, from, to, note) {
+  task.history = task.history || [];
+  task.history.push({ from, to, note: note || null, timestamp: new Date().toISOString() });
+  touchTask(task);
+}
+
+// Changes status with a history entry; reaching a terminal status stops a running timer
+function setStatus(task, to, note) {
+  recordStatus(task, task.status, to, note);
+  task.status = to;
+  if (isDone(task)) {
+    stopTimer(task);
+  }
+}
+
+function getRunningEntry(task) {
+  return (task.timeEntries || []).find(entry => entry.end === null);
+}
+
+function startTimer(task) {
+  task.timeEntries = task.timeEntries || [];
+  const entry = { start: new Date().toISOString(), end: null };
+  task.timeEntries.push(entry);
+  touchTask(task);
+  return entry;
+}
+
+function stopTimer(task) {
+  const entry = getRunningEntry(task);
+  if (entry) {
+    entry.end = new Date().toISOString();
+    touchTask(task);
+  }
+  return entry || null;
+}
+
+// Minutes spent on a task, counting a running timer up to now
+function getActualMinutes(task) {
+  const ms = (task.timeEntries || []).reduce((sum, entry) => {
+    const end = entry.end ? Date.parse(entry.end) : Date.now();
+    return sum + (end - Date.parse(entry.start));
+  }, 0);
+  return Math.round(ms / 60000 * 10) / 10;
+}
+
+const RELATIVE_UNITS = { h: 3600000, d: 86400000, w: 604800000 };
+
+// Accepts ISO dates, "today", "tomorrow" and relative offsets like "+3d", "-1w" or "+12h".
+// Date-only values ("2026-10-19", "today") mean the end of that day in local time.
+function parseDate(input, now = new Date()) {
+  const value = input.trim().toLowerCase();
+  if (value === 'today' || value === 'tomorrow') {
+    const date = new Date(endOfToday(now));
+    if (value === 'tomorrow') date.setDate(date.getDate() + 1);
+    return date.toISOString();
+  }
+  const relative = value.match(/^([+-]\d+)([hdw])$/);
+  if (relative) {
+    return new Date(now.getTime() + Number(relative[1]) * RELATIVE_UNITS[relative[2]]).toISOString();
+  }
+  const dateOnly = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (dateOnly) {
+    const [year, month, day] = dateOnly.slice(1).map(Number);
+    const date = new Date(year, month - 1, day);
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+      throw new Error(`Invalid date "${input}". Use an ISO date, today, tomorrow or a relative form like +3d`);
+    }
+    return new Date(endOfToday(date)).toISOString();
+  }
+  const timestamp = Date.parse(input);
+  if (isNaN(timestamp)) {
+    throw new Error(`Invalid date "${input}". Use an ISO date, today, tomorrow or a relative form like +3d`);
+  }
+  return new Date(timestamp).toISOString();
+}
+
+function endOfToday(now = new Date()) {
+  const date = new Date(now);
+  date.setHours(23, 59, 59, 999);
+  return date.getTime();
+}
+
+// YYYY-MM-DD in local time, matching the day boundaries of endOfToday
+function formatLocalDate(date) {
+  const pad = number => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function isOverdue(task, now = Date.now()) {
+  return Boolean(task.dueDate) && !isDone(task) && Date.parse(task.dueDate) < now;
+}
+
+function summarizeTime(list) {
+  const estimated = list.reduce((sum, task) => sum + (task.estimate || 0), 0);
+  const actual = list.reduce((sum, task) => sum + getActualMinutes(task), 0);
+  return {
+    tasks: list.length,
+    estimatedMinutes: estimated,
+    actualMinutes: Math.round(actual * 10) / 10,
+    varianceMinutes: Math.round((actual - estimated) * 10) / 10
+  };
+}
+
+function createTask(tasks, { title, description = '', rules = '', instructions = '', parentId = null, blockedBy = [], tags = [], priority = 10, estimate = null, dueDate = null, startDate = null, status = workflow.initial }, note = null) {
+  const newTask = {
+      id: uuidv4(),
+      parentId: parentId || null,
+      blockedBy: [...new Set(blockedBy)],
+      title,
+      description,
+      rules,
+      instructions,
+      tags,
+      priority,
+      estimate,
+      startDate,
+      dueDate,
+      status,
+      progress: [],
+      timeEntries: [],
+      createdAt: new Date().toISOString()
+  };
+  recordStatus(newTask, null, status, note);
+  tasks.push(newTask);
+  return newTask;
+}
+
+// Applies changed fields and records them in the task audit; returns the changes
+function applyChanges(task, fields) {
+  const changes = {};
+  for (const [field, value] of Object.entries(fields)) {
+    if (value === undefined) continue;
+    const before = task[field] === undefined ? null : task[field];
+    if (JSON.stringify(before) !== JSON.stringify(value)) {
+      changes[field] = { before, after: value };
+      task[field] = value;
+    }
+  }
+  if (Object.keys(changes).length > 0) {
+    task.audit = task.audit || [];
+    task.audit.push({ timestamp: new Date().toISOString(), changes });
+    touchTask(task);
+  }
+  return changes;
+}
+
+function lastModified(task) {
+  const stamps = [
+    task.createdAt,
+    task.updatedAt,
+    ...(task.history || []).map(entry => entry.timestamp),
+    ...(task.audit || []).map(entry => entry.timestamp)
+  ].filter(Boolean);
+  return stamps.length > 0 ? Math.max(...stamps.map(stamp => Date.parse(stamp))) : 0;
+}
+
+function getChildren(tasks, parentId) {
+  return tasks.filter(task => (task.parentId || null) === parentId);
+}
+
+// The seen set stops the walk if stored parent links ever form a loop
+function getDescendants(tasks, parentId, seen = new Set([parentId])) {
+  return getChildren(tasks, parentId)
+    .filter(child => !seen.has(child.id))
+    .flatMap(child => {
+      seen.add(child.id);
+      return [child, ...getDescendants(tasks, child.id, seen)];
+    });
+}
+
+// True when making parentId the parent of id would put the task below itself
+function isOwnSubtree(tasks, id, parentId) {
+  return parentId === id || getDescendants(tasks, id).some(task => task.id === parentId);
+}
+
+// Leaf tasks count as 0 or 100; parents average their children
+function computeCompletion(tasks, task) {
+  const children = getChildren(tasks, task.id);
+  if (children.length === 0) {
+    return isDone(task) ? 100 : 0;
+  }
+  const total = children.reduce((sum, child) => sum + computeCompletion(tasks, child), 0);
+  return Math.round(total / children.length);
+}
+
+// True if blockerId already depends on taskId, directly or transitively
+function createsCycle(tasks, taskId, blockerId) {
+  const visited = new Set();
+  const stack = [blockerId];
+  while (stack.length > 0) {
+    const currentId = stack.pop();
+    if (currentId === taskId) {
+      return true;
+    }
+    if (visited.has(currentId)) {
+      continue;
+    }
+    visited.add(currentId);
+    const current = tasks.find(task => task.id === currentId);
+    if (current) {
+      stack.push(...(current.blockedBy || []));
+    }
+  }
+  return false;
+}
+
+function getActionableTasks(tasks) {
+  return tasks
+    .filter(task => !isDone(task))
+    .filter(task => (task.blockedBy || []).every(blockerId => {
+      const blocker = tasks.find(t => t.id === blockerId);
+      return !blocker || isDone(blocker);
+    }))
+    .sort((a, b) => b.priority - a.priority);
+}
+
+// Task view for listings: only the latest progress entry unless the full log is requested
+function presentTask(task, fullProgress = false) {
+  if (fullProgress) {
+    return task;
+  }
+  return { ...task, progress: task.progress.length > 0 ? task.progress[task.progress.length - 1] : null };
+}
+
+function filterTasks(list, { status, minPriority, maxPriority, tag, query }) {
+  const statuses = status ? status.map(normalizeStatus) : null;
+  const needle = query ? query.toLowerCase() : null;
+  return list.filter(task => {
+    if (statuses && !statuses.includes(task.status)) return false;
+    if (minPriority !== undefined && task.priority < minPriority) return false;
+    if (maxPriority !== undefined && task.priority > maxPriority) return false;
+    if (tag && !(task.tags || []).includes(tag)) return false;
+    if (needle) {
+      const haystack = [task.title, task.description, task.instructions].join('\n').toLowerCase();
+      if (!haystack.includes(needle)) return false;
+    }
+    return true;
+  });
+}
+
+// Tasks missing the sort key (e.g. createdAt on older tasks) sort last
+function sortTasks(list, sortBy, order = 'asc') {
+  const direction = order === 'desc' ? -1 : 1;
+  return [...list].sort((a, b) => {
+    const left = a[sortBy];
+    const right = b[sortBy];
+    if (left === undefined || left === null) return right === undefined || right === null ? 0 : 1;
+    if (right === undefined || right === null) return -1;
+    if (typeof left === 'number' && typeof right === 'number') return (left - right) * direction;
+    return String(left).localeCompare(String(right)) * direction;
+  });
+}
+
+function renderCompact(list) {
+  return list.map(task => `${task.id} | ${task.status} | ${task.priority} | ${task.title}${describeOrigin(task)}`);
+}
+
+// Suffix naming the thinking session and conclusion a task came from
+function describeOrigin(task) {
+  if (!task.source || task.source.type !== 'thinking') {
+    return '';
+  }
+  return ` (from thinking session ${task.source.sessionId}, thought ${task.source.thoughtId})`;
+}
+
+// Checked boxes finish a task; unchecking a finished task reopens it
+function statusFromItem(item, current) {
+  let status = item.status ? normalizeStatus(item.status) : current;
+  if (item.checked && !isDone({ status })) {
+    status = workflow.terminal[0];
+  } else if (!item.checked && isDone({ status })) {
+    status = (workflow.transitions[status] || [])[0] || workflow.initial;
+  }
+  return status;
+}
+
+function renderChecklist(tasks, parentId, depth, rendered) {
+  return getChildren(tasks, parentId)
+    .filter(task => !rendered.has(task.id))
+    .flatMap(task => {
+      rendered.add(task.id);
+      return [renderItem(task, depth, isDone(task)), ...renderChecklist(tasks, task.id, depth + 1, rendered)];
+    });
+}
+
+function exportMarkdown(tasks, filePath, preamble = ['# Tasks']) {
+  const rendered = new Set();
+  const lines = [...preamble, ...(preamble.length > 0 ? [''] : []), ...renderChecklist(tasks, null, 0, rendered)];
+  // Tasks whose parent is missing, or whose parent links loop, are not reached from the
+  // top level; write them there so no task is left out of the file
+  for (const task of tasks) {
+    if (!rendered.has(task.id)) {
+      rendered.add(task.id);
+      lines.push(renderItem(task, 0, isDone(task)), ...renderChecklist(tasks, task.id, 1, rendered));
+    }
+  }
+  fs.writeFileSync(filePath, lines.join('\n') + '\n', 'utf8');
+  // Stamp the file with our own clock so sync compares it against task timestamps reliably
+  const now = new Date();
+  fs.utimesSync(filePath, now, now);
+  return tasks.length;
+}
+
+// Applies checklist items to the task list. In sync mode, tasks changed after the
+// file was last written keep their own values, and items for removed tasks are dropped.
+function importMarkdown(tasks, filePath, sync) {
+  const { preamble, items } = parseChecklist(fs.readFileSync(filePath, 'utf8'));
+  const fileTime = fs.statSync(filePath).mtimeMs;
+  const report = { created: [], updated: [], unchanged: 0, skipped: [] };
+  const itemTaskIds = [];
+  const seen = new Set();
+
+  items.forEach((item, index) => {
+    const parentId = item.parentIndex === null ? null : itemTaskIds[item.parentIndex] || null;
+    const existing = item.id && !seen.has(item.id) ? tasks.find(task => task.id === item.id) : null;
+    if (item.id) {
+      seen.add(item.id);
+    }
+
+    if (!existing) {
+      if (item.id && sync) {
+        report.skipped.push({ line: index + 1, id: item.id, reason: 'task no longer exists' });
+        itemTaskIds.push(null);
+        return;
+      }
+      let status = statusFromItem(item, workflow.initial);
+      if (!workflow.transitions[status]) {
+        report.skipped.push({ line: index + 1, reason: `unknown status "${status}", created as "${workflow.initial}"` });
+        status = workflow.initial;
+      }
+      const task = createTask(tasks, {
+        title: item.title,
+        parentId,
+        tags: item.tags,
+        priority: item.priority,
+        status
+      }, 'markdown import');
+      report.created.push({ id: task.id, title: task.title });
+      itemTaskIds.push(task.id);
+      return;
+    }
+
+    itemTaskIds.push(existing.id);
+    if (sync && lastModified(existing) >= fileTime) {
+      report.skipped.push({ id: existing.id, reason: 'task changed after the file was saved' });
+      return;
+    }
+
+    // Items moved by hand can put a task below its own subtask; keep its parent then
+    let newParentId = parentId;
+    if (parentId !== (existing.parentId || null) && parentId && isOwnSubtree(tasks, existing.id, parentId)) {
+      report.skipped.push({ id: existing.id, reason: `cannot be moved below its own subtask "${parentId}"` });
+      newParentId = undefined;
+    }
+    const changes = applyChanges(existing, {
+      title: item.title,
+      parentId: newParentId,
+      tags: item.tags,
+      priority: item.priority
+    });
+    const status = statusFromItem(item, existing.status);
+    // The file is edited by hand, so only unknown statuses are refused, not the transition
+    if (status !== existing.status) {
+      if (workflow.transitions[status]) {
+        changes.status = { before: existing.status, after: status };
+        setStatus(existing, status, 'markdown import');
+      } else {
+        report.skipped.push({ id: existing.id, reason: `unknown status "${status}"` });
+      }
+    }
+    if (Object.keys(changes).length > 0) {
+      report.updated.push({ id: existing.id, fields: Object.keys(changes) });
+    } else {
+      report.unchanged++;
+    }
+  });
+
+  saveState();
+  if (sync) {
+    report.exported = exportMarkdown(tasks, filePath, preamble);
+  }
+  return report;
+}
+
+// Only match markers that follow a comment token, so identifiers like "todoList" are ignored
+function findComments(content, markers, contextLines) {
+  const pattern = new RegExp(`(?:\\/\\/|#|\\/\\*|^\\s*\\*|<!--|--|;)\\s*(${markers.join('|')})\\b(?:\\([^)]*\\))?[\\s:]*(.*)$`);
+  const lines = content.split(/\r?\n/);
+  const comments = [];
+  lines.forEach((line, index) => {
+    const match = line.match(pattern);
+    if (!match) return;
+    const start = Math.max(0, index - contextLines);
+    const end = Math.min(lines.length, index + contextLines + 1);
+    comments.push({
+      line: index + 1,
+      marker: match[1],
+      text: match[2].replace(/\s*(\*\/|-->)\s*$/, '').trim(),
+      context: lines.slice(start, end).map((text, offset) => `${start + offset + 1}: ${text}`).join('\n')
+    });
+  });
+  return comments;
+}
+
+// Creates tasks for new comments, refreshes moved ones and resolves those no longer in the code.
+// Existing tasks are matched by file and comment text first, then by file and line.
+// Files above the filesystem module's maxInputSize are skipped; without one configured,
+// the limit is DEFAULT_HARVEST_MAX_FILE_SIZE
+function harvestMaxFileSize(maxFileSize) {
+  try {
+    return fsHandler.getMaxInputSize(maxFileSize);
+  } catch (error) {
+    return DEFAULT_HARVEST_MAX_FILE_SIZE;
+  }
+}
+
+function harvestComments(tasks, dirPath, options) {
+  const { markers = COMMENT_MARKERS, contextLines = 2, maxFileSize, ...scanOptions } = options;
+  const root = path.resolve(dirPath);
+  const files = fsHandler.listFiles(root, scanOptions);
+  const sizeLimit = harvestMaxFileSize(maxFileSize);
+  const report = { filesScanned: files.length, created: [], updated: [], reopened: [], resolved: [], unresolved: [], skippedFiles: [] };
+  const harvested = tasks.filter(task => task.source && task.source.type === 'comment' &&
+    (task.source.file === root || task.source.file.startsWith(root + path.sep)));
+  const matched = new Set();
+  const scanned = new Set();
+
+  for (const file of files) {
+    const relativePath = path.relative(process.cwd(), file);
+    let content;
+    try {
+      const size = fs.statSync(file).size;
+      if (size > sizeLimit) {
+        report.skippedFiles.push({ file: relativePath, reason: `larger than ${fsHandler.formatBytes(sizeLimit)}` });
+        continue;
+      }
+      content = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+      report.skippedFiles.push({ file: relativePath, reason: error.message });
+      continue;
+    }
+    if (content.includes('\0')) continue; // binary file
+    scanned.add(file);
+
+    for (const comment of findComments(content, markers, contextLines)) {
+      const candidates = harvested.filter(task => task.source.file === file && !matched.has(task.id));
+      const existing = candidates.find(task => task.source.text === comment.text && task.source.marker === comment.marker) ||
+        candidates.find(task => task.source.line === comment.line);
+      const title = `${comment.marker}: ${comment.text || `${relativePath}:${comment.line}`}`;
+      const description = `${relativePath}:${comment.line}\n\n${comment.context}`;
+
+      if (!existing) {
+        const task = createTask(tasks, { title, description, tags: ['harvested', comment.marker.toLowerCase()] }, 'harvested from source');
+        task.source = { type: 'comment', file, line: comment.line, marker: comment.marker, text: comment.text };
+        matched.add(task.id);
+        report.created.push({ id: task.id, title, location: `${relativePath}:${comment.line}` });
+        continue;
+      }
+
+      matched.add(existing.id);
+      const changes = applyChanges(existing, { title, description });
+      existing.source = { ...existing.source, line: comment.line, marker: comment.marker, text: comment.text };
+      if (isDone(existing)) {
+        const reopened = (workflow.transitions[existing.status] || [])[0] || workflow.initial;
+        setStatus(existing, reopened, 'comment found again');
+        report.reopened.push({ id: existing.id, title });
+      } else if (Object.keys(changes).length > 0) {
+        report.updated.push({ id: existing.id, fields: Object.keys(changes) });
+      }
+    }
+  }
+
+  for (const task of harvested) {
+    if (matched.has(task.id) || isDone(task)) continue;
+    // A narrower scan (extensions, exclusions, recursion or markers) says nothing about other files
+    const fileChecked = scanned.has(task.source.file) || !fs.existsSync(task.source.file);
+    if (!fileChecked || !markers.includes(task.source.marker)) continue;
+
+    // e.g. a pending task may only be cancelled, not done, under the default workflow
+    const allowed = workflow.transitions[task.status];
+    const resolved = workflow.terminal.find(status => !allowed || allowed.includes(status));
+    if (!resolved) {
+      report.unresolved.push({ id: task.id, title: task.title, reason: `no finished status is allowed from "${task.status}"` });
+      continue;
+    }
+    setStatus(task, resolved, 'comment removed from source');
+    report.resolved.push({ id: task.id, title: task.title, status: resolved });
+  }
+
+  saveState();
+  return report;
+}
+
+// Creates tasks for conclusions handed over by the thinking module. Each task keeps the
+// session, thought and supporting reasoning in its source; conclusions that already
+// have a task in the list are skipped.
+function addTasksFromThoughts(conclusions, list) {
+  const { tasks, listName, error } = openList(list, true);
+  if (error) {
+    throw new Error(error);
+  }
+
+  const report = { list: listName, created: [], skipped: [] };
+  for (const conclusion of conclusions) {
+    const existing = tasks.find(task => task.source && task.source.type === 'thinking' &&
+      task.source.sessionId === conclusion.sessionId && task.source.thoughtId === conclusion.thoughtId);
+    if (existing) {
+      report.skipped.push({ thoughtId: conclusion.thoughtId, taskId: existing.id });
+      continue;
+    }
+
+    const task = createTask(tasks, {
+      title: conclusion.title,
+      description: conclusion.content,
+      tags: conclusion.tags
+    }, `created from thinking session ${conclusion.sessionId}`);
+    task.source = {
+      type: 'thinking',
+      sessionId: conclusion.sessionId,
+      thoughtId: conclusion.thoughtId,
+      reasoning: conclusion.reasoning
+    };
+    report.created.push({ thoughtId: conclusion.thoughtId, taskId: task.id, title: task.title });
+  }
+
+  if (report.created.length > 0) {
+    saveState();
+  }
+  return report;
+}
+
+// Task operations shared by the single tools and batch; they throw on invalid input
+function addTask(tasks, { title, description, rules, instructions, parentId, blockedBy = [], tags = [], estimate, dueDate, startDate }) {
+  if (parentId && !tasks.some(task => task.id === parentId)) {
+    throw new Error(`Parent task not found: "${parentId}"`);
+  }
+  const missingBlocker = blockedBy.find(blockerId => !tasks.some(task => task.id === blockerId));
+  if (missingBlocker) {
+    throw new Error(`Blocking task not found: "${missingBlocker}"`);
+  }
+  return createTask(tasks, {
+    title,
+    description,
+    rules,
+    instructions,
+    parentId,
+    blockedBy,
+    tags,
+    estimate,
+    dueDate: dueDate ? parseDate(dueDate) : null,
+    startDate: startDate ? parseDate(startDate) : null
+  });
+}
+
+const UPDATE_FIELDS = ['title', 'description', 'rules', 'instructions', 'tags', 'priority', 'estimate', 'dueDate', 'startDate', 'parentId'];
+
+function updateTask(tasks, id, fields) {
+  const task = tasks.find(task => task.id === id);
+  if (!task) {
+    throw new Error(`Task not found: "${id}"`);
+  }
+  if (fields.parentId) {
+    if (!tasks.some(task => task.id === fields.parentId)) {
+      throw new Error(`Parent task not found: "${fields.parentId}"`);
+    }
+    if (isOwnSubtree(tasks, id, fields.parentId)) {
+      throw new Error(`Task "${id}" cannot be moved below itself or one of its subtasks`);
+    }
+  }
+  const parsed = { ...fields };
+  for (const field of ['dueDate', 'startDate']) {
+    if (parsed[field]) {
+      parsed[field] = parseDate(parsed[field]);
+    }
+  }
+  return { task, changes: applyChanges(task, parsed) };
+}
+
+// Removes a task (and with cascade its subtasks) plus any dependency links to them
+function removeTask(tasks, id, cascade = false) {
+  if (!tasks.some(task => task.id === id)) {
+    throw new Error(`Task not found: "${id}"`);
+  }
+  const descendants = getDescendants(tasks, id);
+  if (descendants.length > 0 && !cascade) {
+    throw new Error(`Task "${id}" has ${descendants.length} subtasks; set cascade to remove them too`);
+  }
+  const removeIds = new Set([id, ...descendants.map(task => task.id)]);
+  for (let i = tasks.length - 1; i >= 0; i--) {
+    if (removeIds.has(tasks[i].id)) {
+      tasks.splice(i, 1);
+    }
+  }
+  for (const task of tasks) {
+    if (task.blockedBy && task.blockedBy.some(blockerId => removeIds.has(blockerId))) {
+      task.blockedBy = task.blockedBy.filter(blockerId => !removeIds.has(blockerId));
+      touchTask(task);
+    }
+  }
+  return descendants.length;
+}
+
+function changeStatus(tasks, id, status, note) {
+  const task = tasks.find(task => task.id === id);
+  if (!task) {
+    throw new Error(`Task not found: "${id}"`);
+  }
+  const newStatus = normalizeStatus(status);
+  try {
+    validateTransition(task.status, newStatus);
+  } catch (error) {
+    throw new Error(`Status not changed for task "${id}": ${error.message}`);
+  }
+  setStatus(task, newStatus, note);
+  return task;
+}
+
+// Applies operations to a copy of the list and only commits if all of them succeed.
+// "$<index>" in id, parentId or blockedBy refers to the task added by an earlier operation.
+function applyBatch(tasks, operations) {
+  const working = JSON.parse(JSON.stringify(tasks));
+  const addedIds = [];
+  const resolve = (value, index) => {
+    const ref = typeof value === 'string' && value.match(/^\$(\d+)$/);
+    if (!ref) return value;
+    const refIndex = Number(ref[1]);
+    if (refIndex >= index || !addedIds[refIndex]) {
+      throw new Error(`"${value}" does not refer to an earlier add operation`);
+    }
+    return addedIds[refIndex];
+  };
+
+  const apply = (operation, index) => {
+    const { op, cascade, note, status } = operation;
+    const id = resolve(operation.id, index);
+    if (op !== 'add' && !id) {
+      throw new Error(`id is required for ${op}`);
+    }
+    switch (op) {
+      case 'add': {
+        if (!operation.title) {
+          throw new Error('title is required for add');
+        }
+        const task = addTask(working, {
+          ...operation,
+          parentId: resolve(operation.parentId, index),
+          blockedBy: (operation.blockedBy || []).map(value => resolve(value, index))
+        });
+        addedIds[index] = task.id;
+        return { op, task };
+      }
+      case 'update': {
+        const fields = {};
+        for (const field of UPDATE_FIELDS) {
+          fields[field] = operation[field];
+        }
+        if (fields.parentId) {
+          fields.parentId = resolve(fields.parentId, index);
+        }
+        const { task, changes } = updateTask(working, id, fields);
+        return { op, task, changed: Object.keys(changes) };
+      }
+      case 'remove':
+        return { op, id, removed: true, subtasksRemoved: removeTask(working, id, cascade) };
+      case 'status': {
+        if (!status) {
+          throw new Error('status is required for status');
+        }
+        return { op, task: changeStatus(working, id, status, note) };
+      }
+      default:
+        throw new Error(`Unknown operation: ${op}`);
+    }
+  };
+
+  // Later operations keep changing the working tasks, so each result holds a copy of
+  // its task as it was when that operation finished
+  const results = operations.map((operation, index) => {
+    let result;
+    try {
+      result = apply(operation, index);
+    } catch (error) {
+      throw new Error(`Operation ${index} (${operation.op}) failed: ${error.message}. No changes were applied`);
+    }
+    return result.task ? { ...result, task: presentTask(JSON.parse(JSON.stringify(result.task))) } : result;
+  });
+
+  tasks.splice(0, tasks.length, ...working);
+  return results;
+}
+
+// Moves a task and its subtasks to another list. Dependency links that would
+// cross lists are dropped on both sides.
+function moveTask(fromTasks, toTasks, id) {
+  const task = fromTasks.find(task => task.id === id);
+  const moving = [task, ...getDescendants(fromTasks, id)];
+  const movingIds = new Set(moving.map(task => task.id));
+
+  for (let i = fromTasks.length - 1; i >= 0; i--) {
+    if (movingIds.has(fromTasks[i].id)) {
+      fromTasks.splice(i, 1);
+    }
+  }
+  for (const remaining of fromTasks) {
+    if (remaining.blockedBy && remaining.blockedBy.some(blockerId => movingIds.has(blockerId))) {
+      remaining.blockedBy = remaining.blockedBy.filter(blockerId => !movingIds.has(blockerId));
+      touchTask(remaining);
+    }
+  }
+  for (const moved of moving) {
+    moved.blockedBy = (moved.blockedBy || []).filter(blockerId => movingIds.has(blockerId));
+    touchTask(moved);
+  }
+  task.parentId = null;
+  toTasks.push(...moving);
+  return moving.length;
+}
+
+function renderTree(tasks, parentId, depth = 0) {
+  return getChildren(tasks, parentId).flatMap(task => {
+    const completion = computeCompletion(tasks, task);
+    const box = completion === 100 ? '[x]' : '[ ]';
+    const line = `${'  '.repeat(depth)}${box} ${task.title} (${task.status}, ${completion}%) ${task.id}${describeOrigin(task)}`;
+    return [line, ...renderTree(tasks, task.id, depth + 1)];
+  });
+}
+
+// Function to register all todo-related tools on the provided server
+function registerTools(server) {
+  // Register tools that interact with the state
+    server.registerTool("list", {
+    name: "list",
+    title: "List Tasks",
+    description: "Lists stored tasks as JSON, as compact lines (id | status | priority | title) or as an indented subtask tree. Filters, sorting and pagination apply to the json and compact formats",
+    inputSchema: {
+      format: z.enum(["json", "compact", "tree"]).optional().describe("Output format (default: json)"),
+      rootId: z.string().optional().describe("For tree format, only render the subtree below this task"),
+      status: z.array(z.string()).optional().describe("Only include tasks with one of these statuses"),
+      minPriority: z.number().optional().describe("Only include tasks with at least this priority"),
+      maxPriority: z.number().optional().describe("Only include tasks with at most this priority"),
+      tag: z.string().optional().describe("Only include tasks with this tag"),
+      query: z.string().optional().describe("Case-insensitive text search over title, description and instructions"),
+      sortBy: z.enum(["priority", "title", "status", "createdAt", "dueDate"]).optional().describe("Field to sort by (default: insertion order)"),
+      order: z.enum(["asc", "desc"]).optional().describe("Sort direction (default: asc)"),
+      limit: z.number().int().positive().optional().describe("Maximum number of tasks to return"),
+      offset: z.number().int().min(0).optional().describe("Number of matching tasks to skip"),
+      fullProgress: z.boolean().optional().describe("Include the whole progress log instead of only the latest entry (default: false)"),
+      list: z.string().optional().describe("Task list name (default: the active list)"),
+    },
+  },
+  async ({ format = "json", rootId, status, minPriority, maxPriority, tag, query, sortBy, order, limit, offset = 0, fullProgress = false, list }) => {
+    const { tasks, error } = openList(list);
+    if (error) {
+      return {
+        content: [{ type: "text", text: error }],
+      };
+    }
+    if (format === "tree") {
+      if (rootId && !tasks.some(task => task.id === rootId)) {
+        return {
+          content: [{ type: "text", text: `Task not found: "${rootId}"` }],
+        };
+      }
+      const lines = renderTree(tasks, rootId || null);
+      return {
+        content: [{ type: "text", text: lines.length > 0 ? lines.join('\n') : 'No tasks' }],
+      };
+    }
+
+    let result = filterTasks(tasks, { status, minPriority, maxPriority, tag, query });
+    if (sortBy) {
+      result = sortTasks(result, sortBy, order);
+    }
+    const total = result.length;
+    result = result.slice(offset, limit ? offset + limit : undefined);
+
+    if (format === "compact") {
+      const header = `Showing ${result.length} of ${total} tasks (offset ${offset})`;
+      return {
+        content: [{ type: "text", text: [header, ...renderCompact(result)].join('\n') }],
+      };
+    }
+    return {
+      content: [{ type: "text", text: JSON.stringify(result.map(task => presentTask(task, fullProgress)), null, 2) }],
+    };
+  }
+  );
+
+    server.registerTool("add", {
+    name: "add",
+    title: "Add Task",
+    description: "Adds a new task to the list",
+    inputSchema: {
+      title: z.string(),
+      description: z.string(),
+      rules: z.string(),
+      instructions: z.string(),
+      parentId: z.string().optional().describe("ID of the parent task when adding a subtask"),
+      blockedBy: z.array(z.string()).optional().describe("IDs of tasks that must be done before this one"),
+      tags: z.array(z.string()).optional().describe("Tags for filtering the task list"),
+      estimate: z.number().positive().optional().describe("Estimated effort in minutes"),
+      dueDate: z.string().optional().describe("Due date: ISO date, today, tomorrow or relative like +3d"),
+      startDate: z.string().optional().describe("Date the task becomes workable, same formats as dueDate"),
+      list: z.string().optional().describe("Task list name (default: the active list)"),
+    },
+  },
+  async ({ title, description, rules, instructions, parentId, blockedBy = [], tags = [], estimate, dueDate, startDate, list }) => {
+    const { tasks, error } = openList(list, true);
+    if (error) {
+      return {
+        content: [{ type: "text", text: error }],
+      };
+    }
+    try {
+      const task = addTask(tasks, { title, description, rules, instructions, parentId, blockedBy, tags, estimate, dueDate, startDate });
+      saveState();
+      return {
+        content: [{ type: "text", text: `Task added: "${title}" (${task.id})` }],
+      };
+    } catch (error) {
+      return {
+        content: [{ type: "text", text: error.message }],
+      };
+    }
+  }
+  );
+
+  server.registerTool("update", {
+    name: "update",
+    title: "Update Task",
+    description: "Updates any subset of a task's fields in place, keeping its id. Each change is recorded with before/after values in the task audit",
+    inputSchema: {
+      id: z.string(),
+      title: z.string().optional(),
+      description: z.string().optional(),
+      rules: z.string().optional(),
+      instructions: z.string().optional(),
+      tags: z.array(z.string()).optional(),
+      priority: z.number().optional(),
+      estimate: z.number().positive().nullable().optional().describe("Estimated effort in minutes, or null to clear it"),
+      dueDate: z.string().nullable().optional().describe("Due date (ISO, today, tomorrow or relative like +3d), or null to clear it"),
+      startDate: z.string().nullable().optional().describe("Start date in the same formats, or null to clear it"),
+      parentId: z.string().nullable().optional().describe("New parent task, or null to make it a top-level task"),
+      list: z.string().optional().describe("Task list name (default: the active list)"),
+    },
+  },
+  async ({ id, list, ...fields }) => {
+    const { tasks, error } = openList(list, true);
+    if (error) {
+      return {
+        content: [{ type: "text", text: error }],
+      };
+    }
+    let changes;
+    try {
+      ({ changes } = updateTask(tasks, id, fields));
+    } catch (error) {
+      return {
+        content: [{ type: "text", text: error.message }],
+      };
+    }
+    if (Object.keys(changes).length === 0) {
+      return {
+        content: [{ type: "text", text: `No changes for task: "${id}"` }],
+      };
+    }
+    saveState();
+    return {
+      content: [{ type: "text", text: `Task updated: "${id}" (${Object.keys(changes).join(', ')})` }],
+    };
+  }
+  );
+
+  server.registerTool("remove", {
+    name: "remove",
+    title: "Remove Task",
+    description: "Removes a task from the list. Tasks with subtasks are only removed when cascade is set",
+    inputSchema: {
+      id: z.string(),
+      cascade: z.boolean().optional().describe("Also remove all subtasks (default: false)"),
+      list: z.string().optional().describe("Task list name (default: the active list)"),
+    },
+  },
+  async ({ id, cascade = false, list }) => {
+    const { tasks, error } = openList(list, true);
+    if (error) {
+      return {
+        content: [{ type: "text", text: error }],
+      };
+    }
+    try {
+      const subtasks = removeTask(tasks, id, cascade);
+      saveState();
+      return {
+        content: [{ type: "text", text: `Task removed: "${id}"${subtasks > 0 ? ` (with ${subtasks} subtasks)` : ''}` }],
+      };
+    } catch (error) {
+      return {
+        content: [{ type: "text", text: error.message }],
+      };
+    }
+  }
+  );
+
+  server.registerTool("priority", {
+    name: "priority",
+    title: "Set Priority",
+    description: "Sets the priority of a task",
+    inputSchema: {
+      id: z.string(),
+      priority: z.number(),
+      list: z.string().optional().describe("Task list name (default: the active list)"),
+    },
+  },
+  async ({ id, priority, list }) => {
+    const { tasks, error } = openList(list, true);
+    if (error) {
+      return {
+        content: [{ type: "text", text: error }],
+      };
+    }
+    const task = tasks.find(task => task.id === id);
+    if (task) {
+      applyChanges(task, { priority });
+      saveState();
+      return {
+        content: [{ type: "text", text: `Priority set for task: "${id}"` }],
+      };
+    }
+    return {
+      content: [{ type: "text", text: `Task not found: "${id}"` }],
+    };
+  }
+  );
+
+  server.registerTool("status", {
+    name: "status",
+    title: "Set Status",
+    description: `Sets the status of a task. Allowed transitions: ${Object.entries(workflow.transitions).map(([from, to]) => `${from} -> ${to.join('|') || 'none'}`).join('; ')}`,
+    inputSchema: {
+      id: z.string(),
+      status: z.string(),
+      note: z.string().optional().describe("Reason for the change, stored in the task history"),
+      list: z.string().optional().describe("Task list name (default: the active list)"),
+    },
+  },
+  async ({ id, status, note, list }) => {
+    const { tasks, error } = openList(list, true);
+    if (error) {
+      return {
+        content: [{ type: "text", text: error }],
+      };
+    }
+    try {
+      changeStatus(tasks, id, status, note);
+      saveState();
+      return {
+        content: [{ type: "text", text: `Status set for task: "${id}"` }],
+      };
+    } catch (error) {
+      return {
+        content: [{ type: "text", text: error.message }],
+      };
+    }
+  }
+  );
+
+  server.registerTool("history", {
+    name: "history",
+    title: "Get Task History",
+    description: "Gets the timestamped status changes and field edits of a task",
+    inputSchema: {
+      id: z.string(),
+      list: z.string().optional().describe("Task list name (default: the active list)"),
+    },
+  },
+  async ({ id, list }) => {
+    const { tasks, error } = openList(list);
+    if (error) {
+      return {
+        content: [{ type: "text", text: error }],
+      };
+    }
+    const task = tasks.find(task => task.id === id);
+    if (task) {
+      return {
+        content: [{ type: "text", text: JSON.stringify({ id, status: task.status, history: task.history || [], audit: task.audit || [] }, null, 2) }],
+      };
+    }
+    return {
+      content: [{ type: "text", text: `Task not found: "${id}"` }],
+    };
+  }
+  );
+
+  server.registerTool("progress", {
+    name: "progress",
+    title: "Log Progress",
+    description: "Appends a timestamped entry to the progress log of a task",
+    inputSchema: {
+      id: z.string(),
+      progress: z.string().describe("Progress note"),
+      percent: z.number().min(0).max(100).optional().describe("Percent complete at the time of the note"),
+      source: z.string().optional().describe("Author or source of the note (e.g. agent name)"),
+      list: z.string().optional().describe("Task list name (default: the active list)"),
+    },
+  },
+  async ({ id, progress, percent, source, list }) => {
+    const { tasks, error } = openList(list, true);
+    if (error) {
+      return {
+        content: [{ type: "text", text: error }],
+      };
+    }
+    const task = tasks.find(task => task.id === id);
+    if (task) {
+      task.progress.push({
+        text: progress,
+        percent: percent === undefined ? null : percent,
+        source: source || null,
+        timestamp: new Date().toISOString()
+      });
+      touchTask(task);
+      saveState();
+      return {
+        content: [{ type: "text", text: `Progress logged for task: "${id}" (${task.progress.length} entries)` }],
+      };
+    }
+    return {
+      content: [{ type: "text", text: `Task not found: "${id}"` }],
+    };
+  }
+  );
+
+  server.registerTool("progress_log", {
+    name: "progress_log",
+    title: "Get Progress Log",
+    description: "Gets the progress log of a task, oldest entry first",
+    inputSchema: {
+      id: z.string(),
+      limit: z.number().int().positive().optional().describe("Only return the most recent entries"),
+      list: z.string().optional().describe("Task list name (default: the active list)"),
+    },
+  },
+  async ({ id, limit, list }) => {
+    const { tasks, error } = openList(list);
+    if (error) {
+      return {
+        content: [{ type: "text", text: error }],
+      };
+    }
+    const task = tasks.find(task => task.id === id);
+    if (task) {
+      const entries = limit ? task.progress.slice(-limit) : task.progress;
+      return {
+        content: [{ type: "text", text: JSON.stringify({ id, title: task.title, total: task.progress.length, entries }, null, 2) }],
+      };
+    }
+    return {
+      content: [{ type: "text", text: `Task not found: "${id}"` }],
+    };
+  }
+  );
+
+  server.registerTool("completion", {
+    name: "completion",
+    title: "Get Task Completion",
+    description: "Gets the completion of a task rolled up from the status of its subtasks",
+    inputSchema: {
+      id: z.string(),
+      list: z.string().optional().describe("Task list name (default: the active list)"),
+    },
+  },
+  async ({ id, list }) => {
+    const { tasks, error } = openList(list);
+    if (error) {
+      return {
+        content: [{ type: "text", text: error }],
+      };
+    }
+    const task = tasks.find(task => task.id === id);
+    if (task) {
+      const children = getChildren(tasks, id);
+      const result = {
+        id,
+        title: task.title,
+        status: task.status,
+        completion: computeCompletion(tasks, task),
+        subtasks: children.length,
+        subtasksDone: children.filter(child => computeCompletion(tasks, child) === 100).length
+      };
+      return {
+        content: [{ type: "text", text: JSON.stringify(result, null, 2) }],
+      };
+    }
+    return {
+      content: [{ type: "text", text: `Task not found: "${id}"` }],
+    };
+  }
+  );
 
-// Function to register all todo-related tools on the provided server
-function registerTools(server) {
-  // Register tools that interact with the state
-    server.registerTool("list", {
-    name: "list",
-    title: "List Tasks",
-    description: "Lists all stored tasks",
-    inputSchema: {},
+  server.registerTool("block", {
+    name: "block",
+    title: "Set Task Dependency",
+    description: "Marks a task as blocked by another task, or removes that link. Links that would create a cycle are rejected",
+    inputSchema: {
+      id: z.string().describe("ID of the blocked task"),
+      blockerId: z.string().describe("ID of the task that must be done first"),
+      remove: z.boolean().optional().describe("Remove the link instead of adding it (default: false)"),
+      list: z.string().optional().describe("Task list name (default: the active list)"),
+    },
   },
-  async () => ({
-    content: [{ type: "text", text: JSON.stringify(tasks, null, 2) }],
-  })
+  async ({ id, blockerId, remove = false, list }) => {
+    const { tasks, error } = openList(list, true);
+    if (error) {
+      return {
+        content: [{ type: "text", text: error }],
+      };
+    }
+    const task = tasks.find(task => task.id === id);
+    if (!task) {
+      return {
+        content: [{ type: "text", text: `Task not found: "${id}"` }],
+      };
+    }
+    const blockedBy = task.blockedBy || [];
+    if (remove) {
+      task.blockedBy = blockedBy.filter(existing => existing !== blockerId);
+      touchTask(task);
+      saveState();
+      return {
+        content: [{ type: "text", text: `Task "${id}" is no longer blocked by "${blockerId}"` }],
+      };
+    }
+    if (!tasks.some(task => task.id === blockerId)) {
+      return {
+        content: [{ type: "text", text: `Blocking task not found: "${blockerId}"` }],
+      };
+    }
+    if (createsCycle(tasks, id, blockerId)) {
+      return {
+        content: [{ type: "text", text: `Dependency rejected: "${blockerId}" already depends on "${id}"` }],
+      };
+    }
+    if (!blockedBy.includes(blockerId)) {
+      task.blockedBy = [...blockedBy, blockerId];
+      touchTask(task);
+      saveState();
+    }
+    return {
+      content: [{ type: "text", text: `Task "${id}" is now blocked by "${blockerId}"` }],
+    };
+  }
   );
 
-    server.registerTool("add", {
-    name: "add",
-    title: "Add Task",
-    description: "Adds a new task to the list",
+  server.registerTool("next", {
+    name: "next",
+    title: "Next Actionable Tasks",
+    description: "Lists unfinished tasks whose blockers are all done, highest priority first",
     inputSchema: {
-      title: z.string(),
-      description: z.string(),
-      rules: z.string(),
-      instructions: z.string(),
+      limit: z.number().int().positive().optional().describe("Maximum number of tasks to return"),
+      list: z.string().optional().describe("Task list name (default: the active list)"),
+    },
+  },
+  async ({ limit, list }) => {
+    const { tasks, error } = openList(list);
+    if (error) {
+      return {
+        content: [{ type: "text", text: error }],
+      };
+    }
+    const actionable = getActionableTasks(tasks).map(task => presentTask(task));
+    return {
+      content: [{ type: "text", text: JSON.stringify(limit ? actionable.slice(0, limit) : actionable, null, 2) }],
+    };
+  }
+  );
+
+  server.registerTool("markdown_export", {
+    name: "markdown_export",
+    title: "Export Tasks to Markdown",
+    description: "Writes all tasks to a GitHub-flavoured Markdown checklist. Subtasks are nested, priority, status and tags are inline #tags and the task id is kept in an HTML comment",
+    inputSchema: {
+      filePath: z.string().describe("Path of the Markdown file to write"),
+      list: z.string().optional().describe("Task list name (default: the active list)"),
+    },
+  },
+  async ({ filePath, list }) => {
+    const { tasks, error } = openList(list);
+    if (error) {
+      return {
+        content: [{ type: "text", text: error }],
+      };
+    }
+    try {
+      const count = exportMarkdown(tasks, filePath);
+      return {
+        content: [{ type: "text", text: `Exported ${count} tasks to: ${filePath}` }],
+      };
+    } catch (error) {
+      return {
+        content: [{ type: "text", text: `Error: ${error.message}` }],
+      };
+    }
+  }
+  );
+
+  server.registerTool("markdown_import", {
+    name: "markdown_import",
+    title: "Import Tasks from Markdown",
+    description: "Reads a Markdown checklist into tasks, matching items to tasks by the id comment. Items without an id become new tasks. With sync, tasks edited since the file was saved win over the file and the file is rewritten with the full task list",
+    inputSchema: {
+      filePath: z.string().describe("Path of the Markdown file to read"),
+      sync: z.boolean().optional().describe("Reconcile both sides and rewrite the file (default: false)"),
+      list: z.string().optional().describe("Task list name (default: the active list)"),
+    },
+  },
+  async ({ filePath, sync = false, list }) => {
+    const { tasks, error } = openList(list, true);
+    if (error) {
+      return {
+        content: [{ type: "text", text: error }],
+      };
+    }
+    try {
+      const report = importMarkdown(tasks, filePath, sync);
+      return {
+        content: [{ type: "text", text: JSON.stringify(report, null, 2) }],
+      };
+    } catch (error) {
+      return {
+        content: [{ type: "text", text: `Error: ${error.message}` }],
+      };
+    }
+  }
+  );
+
+  server.registerTool("harvest", {
+    name: "harvest",
+    title: "Harvest Code Comments",
+    description: "Scans a directory for TODO, FIXME, HACK and XXX comments and turns each into a task with its location and surrounding code. Re-running de-duplicates by location and resolves tasks whose comment is gone",
+    inputSchema: {
+      dirPath: z.string().describe("Directory to scan"),
+      recursive: z.boolean().optional().describe("Scan subdirectories recursively (default: true)"),
+      includeHidden: z.boolean().optional().describe("Include hidden files (default: false)"),
+      fileExtensions: z.array(z.string()).optional().describe("Filter by file extensions (e.g., ['.js', '.ts'])"),
+      excludePatterns: z.array(z.string()).optional().describe("Exclude patterns (regex strings)"),
+      markers: z.array(z.string()).optional().describe("Comment markers to look for (default: TODO, FIXME, HACK, XXX)"),
+      contextLines: z.number().int().min(0).optional().describe("Lines of code to include above and below each comment (default: 2)"),
+      maxFileSize: z.number().int().positive().optional().describe("Skip files larger than this many bytes (default: filesystem maxInputSize, or 1MB)"),
+      list: z.string().optional().describe("Task list name (default: the active list)"),
+    },
+  },
+  async ({ dirPath, recursive = true, includeHidden = false, fileExtensions, excludePatterns, markers, contextLines, maxFileSize, list }) => {
+    const { tasks, error } = openList(list, true);
+    if (error) {
+      return {
+        content: [{ type: "text", text: error }],
+      };
+    }
+    try {
+      const report = harvestComments(tasks, dirPath, {
+        recursive,
+        includeHidden,
+        fileExtensions,
+        excludePatterns: excludePatterns ? excludePatterns.map(p => new RegExp(p)) : DEFAULT_EXCLUDE_PATTERNS,
+        markers,
+        contextLines,
+        maxFileSize
+      });
+      return {
+        content: [{ type: "text", text: JSON.stringify(report, null, 2) }],
+      };
+    } catch (error) {
+      return {
+        content: [{ type: "text", text: `Error: ${error.message}` }],
+      };
+    }
+  }
+  );
+
+  server.registerTool("lists", {
+    name: "lists",
+    title: "List Task Lists",
+    description: "Lists all named task lists with task counts, marking the active one",
+    inputSchema: {
+      includeArchived: z.boolean().optional().describe("Include archived lists (default: true)"),
     },
   },
-  async ({ title, description, rules, instructions }) => {
-    const newTask = {
-        id: uuidv4(),
-        title,
-        description,
-        rules,
-        instructions,
-        priority: 10,
-        status: 'pending',
-        progress: ''
+  async ({ includeArchived = true }) => {
+    const result = Object.values(state.lists)
+      .filter(taskList => includeArchived || !taskList.archived)
+      .map(summarizeList);
+    return {
+      content: [{ type: "text", text: JSON.stringify(result, null, 2) }],
     };
-    tasks.push(newTask);
+  }
+  );
+
+  server.registerTool("list_create", {
+    name: "list_create",
+    title: "Create Task List",
+    description: "Creates a new named task list (project)",
+    inputSchema: {
+      name: z.string().min(1).describe("Name of the new list"),
+      activate: z.boolean().optional().describe("Make the new list the active one (default: false)"),
+    },
+  },
+  async ({ name, activate = false }) => {
+    if (state.lists[name]) {
+      return {
+        content: [{ type: "text", text: `List already exists: "${name}"` }],
+      };
+    }
+    state.lists[name] = { name, archived: false, createdAt: new Date().toISOString(), tasks: [] };
+    if (activate) {
+      state.activeList = name;
+    }
+    saveState();
     return {
-      content: [{ type: "text", text: `Task added: "${title}"` }],
+      content: [{ type: "text", text: `List created: "${name}"${activate ? ' (active)' : ''}` }],
     };
   }
   );
 
-  server.registerTool("remove", {
-    name: "remove",
-    title: "Remove Task",
-    description: "Removes a task from the list",
+  server.registerTool("list_switch", {
+    name: "list_switch",
+    title: "Switch Task List",
+    description: "Makes a list the active one used by task tools when no list is given",
     inputSchema: {
-      id: z.string(),
+      name: z.string().describe("Name of the list to activate"),
     },
   },
-  async ({ id }) => {
-    const index = tasks.findIndex(task => task.id === id);
-    if (index !== -1) {
-      tasks.splice(index, 1);
+  async ({ name }) => {
+    const taskList = state.lists[name];
+    if (!taskList) {
       return {
-        content: [{ type: "text", text: `Task removed: "${id}"` }],
+        content: [{ type: "text", text: `List not found: "${name}"` }],
       };
     }
+    if (taskList.archived) {
+      return {
+        content: [{ type: "text", text: `List "${name}" is archived; unarchive it before switching to it` }],
+      };
+    }
+    state.activeList = name;
+    saveState();
     return {
-      content: [{ type: "text", text: `Task not found: "${id}"` }],
+      content: [{ type: "text", text: `Active list: "${name}"` }],
     };
   }
   );
 
-  server.registerTool("priority", {
-    name: "priority",
-    title: "Set Priority",
-    description: "Sets the priority of a task",
+  server.registerTool("list_archive", {
+    name: "list_archive",
+    title: "Archive Task List",
+    description: "Archives a list, making it read-only, or restores an archived list",
+    inputSchema: {
+      name: z.string().describe("Name of the list"),
+      unarchive: z.boolean().optional().describe("Restore the list instead of archiving it (default: false)"),
+    },
+  },
+  async ({ name, unarchive = false }) => {
+    const taskList = state.lists[name];
+    if (!taskList) {
+      return {
+        content: [{ type: "text", text: `List not found: "${name}"` }],
+      };
+    }
+    if (!unarchive && name === state.activeList) {
+      return {
+        content: [{ type: "text", text: `List "${name}" is active; switch to another list before archiving it` }],
+      };
+    }
+    taskList.archived = !unarchive;
+    saveState();
+    return {
+      content: [{ type: "text", text: `List ${unarchive ? 'restored' : 'archived'}: "${name}"` }],
+    };
+  }
+  );
+
+  server.registerTool("list_delete", {
+    name: "list_delete",
+    title: "Delete Task List",
+    description: "Deletes a list. Lists that still contain tasks are only deleted when force is set",
+    inputSchema: {
+      name: z.string().describe("Name of the list"),
+      force: z.boolean().optional().describe("Delete the list together with its tasks (default: false)"),
+    },
+  },
+  async ({ name, force = false }) => {
+    const taskList = state.lists[name];
+    if (!taskList) {
+      return {
+        content: [{ type: "text", text: `List not found: "${name}"` }],
+      };
+    }
+    if (name === state.activeList) {
+      return {
+        content: [{ type: "text", text: `List "${name}" is active; switch to another list before deleting it` }],
+      };
+    }
+    if (taskList.tasks.length > 0 && !force) {
+      return {
+        content: [{ type: "text", text: `List "${name}" has ${taskList.tasks.length} tasks; set force to delete them too` }],
+      };
+    }
+    delete state.lists[name];
+    saveState();
+    return {
+      content: [{ type: "text", text: `List deleted: "${name}"` }],
+    };
+  }
+  );
+
+  server.registerTool("move", {
+    name: "move",
+    title: "Move Task to List",
+    description: "Moves a task and its subtasks to another list. Dependency links to tasks left behind are dropped",
     inputSchema: {
       id: z.string(),
-      priority: z.number(),
+      to: z.string().describe("Name of the target list"),
+      list: z.string().optional().describe("Task list name (default: the active list)"),
     },
   },
-  async ({ id, priority }) => {
-    const task = tasks.find(task => task.id === id);
-    if (task) {
-      task.priority = priority;
+  async ({ id, to, list }) => {
+    const { tasks, listName, error } = openList(list, true);
+    if (error) {
       return {
-        content: [{ type: "text", text: `Priority set for task: "${id}"` }],
+        content: [{ type: "text", text: error }],
+      };
+    }
+    const target = openList(to, true);
+    if (target.error) {
+      return {
+        content: [{ type: "text", text: target.error }],
+      };
+    }
+    if (target.listName === listName) {
+      return {
+        content: [{ type: "text", text: `Task "${id}" is already in list "${listName}"` }],
+      };
+    }
+    if (!tasks.some(task => task.id === id)) {
+      return {
+        content: [{ type: "text", text: `Task not found: "${id}"` }],
       };
     }
+    const moved = moveTask(tasks, target.tasks, id);
+    saveState();
     return {
-      content: [{ type: "text", text: `Task not found: "${id}"` }],
+      content: [{ type: "text", text: `Task moved to list "${target.listName}": "${id}"${moved > 1 ? ` (with ${moved - 1} subtasks)` : ''}` }],
     };
   }
   );
 
-  server.registerTool("status", {
-    name: "status",
-    title: "Set Status",
-    description: "Sets the status of a task",
+  server.registerTool("timer_start", {
+    name: "timer_start",
+    title: "Start Task Timer",
+    description: "Starts tracking time spent on a task",
     inputSchema: {
       id: z.string(),
-      status: z.string(),
+      list: z.string().optional().describe("Task list name (default: the active list)"),
     },
   },
-  async ({ id, status }) => {
+  async ({ id, list }) => {
+    const { tasks, error } = openList(list, true);
+    if (error) {
+      return {
+        content: [{ type: "text", text: error }],
+      };
+    }
     const task = tasks.find(task => task.id === id);
-    if (task) {
-      task.status = status;
+    if (!task) {
       return {
-        content: [{ type: "text", text: `Status set for task: "${id}"` }],
+        content: [{ type: "text", text: `Task not found: "${id}"` }],
+      };
+    }
+    if (isDone(task)) {
+      return {
+        content: [{ type: "text", text: `Task "${id}" is ${task.status}; reopen it before tracking time` }],
+      };
+    }
+    if (getRunningEntry(task)) {
+      return {
+        content: [{ type: "text", text: `Timer already running for task: "${id}"` }],
       };
     }
+    startTimer(task);
+    saveState();
     return {
-      content: [{ type: "text", text: `Task not found: "${id}"` }],
+      content: [{ type: "text", text: `Timer started for task: "${id}"` }],
     };
   }
   );
 
-  server.registerTool("progress", {
-    name: "progress",
-    title: "Set Progress",
-    description: "Sets the progress of a task",
+  server.registerTool("timer_stop", {
+    name: "timer_stop",
+    title: "Stop Task Timer",
+    description: "Stops the running timer of a task",
     inputSchema: {
       id: z.string(),
-      progress: z.string(),
+      list: z.string().optional().describe("Task list name (default: the active list)"),
     },
   },
-  async ({ id, progress }) => {
+  async ({ id, list }) => {
+    const { tasks, error } = openList(list, true);
+    if (error) {
+      return {
+        content: [{ type: "text", text: error }],
+      };
+    }
     const task = tasks.find(task => task.id === id);
-    if (task) {
-      task.progress = progress;
+    if (!task) {
+      return {
+        content: [{ type: "text", text: `Task not found: "${id}"` }],
+      };
+    }
+    if (!stopTimer(task)) {
       return {
-        content: [{ type: "text", text: `Progress set for task: "${id}"` }],
+        content: [{ type: "text", text: `No timer running for task: "${id}"` }],
       };
     }
+    saveState();
     return {
-      content: [{ type: "text", text: `Task not found: "${id}"` }],
+      content: [{ type: "text", text: `Timer stopped for task: "${id}" (${getActualMinutes(task)} minutes in total)` }],
+    };
+  }
+  );
+
+  server.registerTool("time_report", {
+    name: "time_report",
+    title: "Time Report",
+    description: "Compares estimated and actual minutes per task, per status and per list. Running timers count up to now",
+    inputSchema: {
+      list: z.string().optional().describe("Task list name (default: the active list)"),
+      allLists: z.boolean().optional().describe("Report on every list instead of a single one (default: false)"),
+    },
+  },
+  async ({ list, allLists = false }) => {
+    let listNames;
+    if (allLists) {
+      listNames = Object.keys(state.lists);
+    } else {
+      const { listName, error } = openList(list);
+      if (error) {
+        return {
+          content: [{ type: "text", text: error }],
+        };
+      }
+      listNames = [listName];
+    }
+
+    const reportTasks = listNames.flatMap(name => state.lists[name].tasks.map(task => ({ ...task, list: name })));
+    const byStatus = {};
+    for (const status of new Set(reportTasks.map(task => task.status))) {
+      byStatus[status] = summarizeTime(reportTasks.filter(task => task.status === status));
+    }
+    const byList = {};
+    for (const name of listNames) {
+      byList[name] = summarizeTime(state.lists[name].tasks);
+    }
+    const result = {
+      tasks: reportTasks.map(task => {
+        const actual = getActualMinutes(task);
+        return {
+          id: task.id,
+          title: task.title,
+          list: task.list,
+          status: task.status,
+          estimatedMinutes: task.estimate || null,
+          actualMinutes: actual,
+          varianceMinutes: task.estimate ? Math.round((actual - task.estimate) * 10) / 10 : null,
+          timerRunning: Boolean(getRunningEntry(task))
+        };
+      }),
+      byStatus,
+      byList,
+      total: summarizeTime(reportTasks)
+    };
+    return {
+      content: [{ type: "text", text: JSON.stringify(result, null, 2) }],
+    };
+  }
+  );
+
+  server.registerTool("due", {
+    name: "due",
+    title: "Overdue and Due Soon",
+    description: "Lists unfinished tasks that are overdue or due within the given window, soonest first",
+    inputSchema: {
+      within: z.string().optional().describe("Due-soon window as a relative offset like +3d or +12h (default: +3d)"),
+      list: z.string().optional().describe("Task list name (default: the active list)"),
+    },
+  },
+  async ({ within = "+3d", list }) => {
+    const { tasks, error } = openList(list);
+    if (error) {
+      return {
+        content: [{ type: "text", text: error }],
+      };
+    }
+    let horizon;
+    try {
+      horizon = Date.parse(parseDate(within));
+    } catch (error) {
+      return {
+        content: [{ type: "text", text: `Error: ${error.message}` }],
+      };
+    }
+    const now = Date.now();
+    const open = sortTasks(tasks.filter(task => task.dueDate && !isDone(task)), 'dueDate');
+    const present = task => ({ id: task.id, title: task.title, status: task.status, priority: task.priority, dueDate: task.dueDate });
+    const result = {
+      now: new Date(now).toISOString(),
+      overdue: open.filter(task => isOverdue(task, now)).map(present),
+      dueSoon: open.filter(task => !isOverdue(task, now) && Date.parse(task.dueDate) <= horizon).map(present)
+    };
+    return {
+      content: [{ type: "text", text: JSON.stringify(result, null, 2) }],
+    };
+  }
+  );
+
+  server.registerTool("agenda", {
+    name: "agenda",
+    title: "Daily Agenda",
+    description: "Lists today's actionable tasks (unblocked, unfinished and already started) grouped by priority, highest first, flagging overdue and due-today tasks",
+    inputSchema: {
+      list: z.string().optional().describe("Task list name (default: the active list)"),
+    },
+  },
+  async ({ list }) => {
+    const { tasks, error } = openList(list);
+    if (error) {
+      return {
+        content: [{ type: "text", text: error }],
+      };
+    }
+    const now = Date.now();
+    const todayEnd = endOfToday(new Date(now));
+    const groups = new Map();
+    for (const task of getActionableTasks(tasks)) {
+      if (task.startDate && Date.parse(task.startDate) > todayEnd) continue;
+      if (!groups.has(task.priority)) {
+        groups.set(task.priority, []);
+      }
+      groups.get(task.priority).push({
+        id: task.id,
+        title: task.title,
+        status: task.status,
+        dueDate: task.dueDate || null,
+        overdue: isOverdue(task, now),
+        dueToday: Boolean(task.dueDate) && !isOverdue(task, now) && Date.parse(task.dueDate) <= todayEnd
+      });
+    }
+    const result = {
+      date: formatLocalDate(new Date(now)),
+      groups: [...groups.entries()].map(([priority, entries]) => ({ priority, tasks: entries }))
+    };
+    return {
+      content: [{ type: "text", text: JSON.stringify(result, null, 2) }],
+    };
+  }
+  );
+
+  server.registerTool("batch", {
+    name: "batch",
+    title: "Batch Task Operations",
+    description: "Applies add, update, remove and status operations all-or-nothing and returns the resulting tasks. Use \"$<index>\" as id, parentId or blockedBy entry to refer to a task added earlier in the same batch",
+    inputSchema: {
+      operations: z.array(z.object({
+        op: z.enum(["add", "update", "remove", "status"]),
+        id: z.string().optional().describe("Target task for update, remove and status"),
+        title: z.string().optional(),
+        description: z.string().optional(),
+        rules: z.string().optional(),
+        instructions: z.string().optional(),
+        parentId: z.string().nullable().optional(),
+        blockedBy: z.array(z.string()).optional().describe("Only for add"),
+        tags: z.array(z.string()).optional(),
+        priority: z.number().optional().describe("Only for update"),
+        estimate: z.number().positive().nullable().optional(),
+        dueDate: z.string().nullable().optional(),
+        startDate: z.string().nullable().optional(),
+        status: z.string().optional().describe("New status for the status operation"),
+        note: z.string().optional().describe("History note for the status operation"),
+        cascade: z.boolean().optional().describe("For remove, also remove subtasks"),
+      })).min(1).describe("Operations to apply in order"),
+      list: z.string().optional().describe("Task list name (default: the active list)"),
+    },
+  },
+  async ({ operations, list }) => {
+    const { tasks, error } = openList(list, true);
+    if (error) {
+      return {
+        content: [{ type: "text", text: error }],
+      };
+    }
+    try {
+      const results = applyBatch(tasks, operations);
+      saveState();
+      return {
+        content: [{ type: "text", text: JSON.stringify(results, null, 2) }],
+      };
+    } catch (error) {
+      return {
+        content: [{ type: "text", text: error.message }],
+      };
+    }
+  }
+  );
+}
+
+// Publish the active task list and each task as MCP resources with change notifications
+function registerResources(server) {
+  resourceServer = server;
+  knownTaskIds = listedTaskIds();
+
+  server.registerResource("todo-tasks", "todo://tasks", {
+    title: "Task List",
+    description: "All tasks of the active list",
+    mimeType: "application/json",
+  },
+  async (uri) => ({
+    contents: [{ uri: uri.href, mimeType: "application/json", text: readResource(uri.href) }],
+  })
+  );
+
+  server.registerResource("todo-task", new ResourceTemplate("todo://tasks/{id}", {
+    list: async () => ({
+      resources: openList().tasks.map(task => ({
+        uri: `todo://tasks/${task.id}`,
+        name: task.title,
+        mimeType: "application/json",
+      })),
+    }),
+  }), {
+    title: "Task",
+    description: "A single task by id, from any list",
+    mimeType: "application/json",
+  },
+  async (uri, { id }) => {
+    const text = readResource(uri.href);
+    if (text === null) {
+      throw new Error(`Task not found: "${id}"`);
+    }
+    return {
+      contents: [{ uri: uri.href, mimeType: "application/json", text }],
     };
   }
   );
+
+  server.server.registerCapabilities({ resources: { subscribe: true } });
+  server.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    subscriptions.set(request.params.uri, readResource(request.params.uri));
+    return {};
+  });
+  server.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    subscriptions.delete(request.params.uri);
+    return {};
+  });
 }
 
-module.exports = { registerTools };
\ No newline at end of file
+module.exports = { registerTools, registerResources, addTasksFromThoughts };
\ No newline at end of file